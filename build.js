@@ -1,12 +1,19 @@
 #!/usr/bin/env node
 
-import { promises } from "fs";
+import { execFile } from "child_process";
+import { createHash } from "crypto";
+import * as esbuild from "esbuild";
+import { promises, watch } from "fs";
 import hljs from "highlight.js";
+import { minify as minifyHTML } from "html-minifier-terser";
+import * as http from "http";
 import * as yaml from "js-yaml";
 import { Marked } from "marked";
 import { markedHighlight } from "marked-highlight";
 import * as path from "path";
+import sharp from "sharp";
 import { fileURLToPath } from "url";
+import { promisify } from "util";
 
 const __filename = fileURLToPath(import.meta.url);
 
@@ -24,42 +31,111 @@ const marked = new Marked(
 
 const CONFIG = {
   EXCERPT_MAX_LENGTH: 300,
+  META_DESCRIPTION_LENGTH: 160,
   HOME_POSTS_COUNT: 5,
   EXCERPT_SENTENCE_THRESHOLD: 0.6,
   OUTPUT_DIR: "dist",
-  RSS_MAX_POSTS: 20,
+  CACHE_FILE: ".cache/build-cache.json",
+  DEV_SERVER_PORT: Number(process.env.PORT) || 3000,
+  DEV_REBUILD_DELAY_MS: 100,
+  POSTS_DIR: "src/content/posts",
+  FEED_MAX_POSTS: 20,
+  READING_WORDS_PER_MINUTE: 200,
+  SEARCH_INDEX_PATH: "/search/index.json",
+  ASSET_MANIFEST_PATH: "/asset-manifest.json",
+  IMAGE_WIDTHS: [480, 960, 1600],
+  IMAGE_SIZES: "(max-width: 900px) 100vw, 860px",
+  IMAGE_QUALITY: 80,
+  TOC_MIN_HEADINGS: 4,
+  RELATED_POSTS_COUNT: 3,
+  RELATED_POSTS_TAG_WEIGHT: 0.5,
+  RELATED_POSTS_MIN_SCORE: 0.1,
+  EXTERNAL_LINK_CACHE_FILE: ".cache/external-links.json",
+  EXTERNAL_LINK_CACHE_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000,
+  EXTERNAL_LINK_TIMEOUT_MS: 10000,
+  EXTERNAL_LINK_CONCURRENCY: 4,
 };
 
+const FEED_PATHS = {
+  rss: "/feed.xml",
+  atom: "/atom.xml",
+  json: "/feed.json",
+};
+
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n?---[ \t]*(?:\r?\n|$)/;
+
 function getSlugFromFile(filePath) {
   return filePath.split("/").pop().replace(".md", "");
 }
 
-function sanitizeRSSDescription(text) {
-  return (
-    text
-      // Replace ampersands with 'and' (safest for RSS/CDATA)
-      .replace(/&/g, "and")
+function splitFrontMatter(raw) {
+  const match = raw.match(FRONT_MATTER_REGEX);
+  if (!match) {
+    return { attributes: {}, body: raw };
+  }
 
-      // Normalize whitespace
-      .replace(/\s+/g, " ")
-      .trim()
-  );
+  const attributes = yaml.load(match[1]) || {};
+  return { attributes, body: raw.slice(match[0].length) };
 }
 
-async function loadTemplates() {
-  const templateFiles = [
-    "head.html",
-    "header.html",
-    "footer.html",
-    "index.html",
-    "post.html",
-    "archive.html",
-    "about.html",
-  ];
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function parsePostDate(value, filepath) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}" for post ${filepath}`);
+  }
+  return date;
+}
+
+// Combine a post's front matter with its content.yml entry (if any). Fields
+// may be set in either place, but date and slug must agree when set in both.
+function mergePostMetadata(filepath, frontMatter, entry) {
+  for (const key of ["date", "slug"]) {
+    const fromYaml = entry[key];
+    const fromFile = frontMatter[key];
+    if (isEmpty(fromYaml) || isEmpty(fromFile)) continue;
+
+    const normalize = (value) =>
+      key === "date"
+        ? parsePostDate(value, filepath).toISOString().slice(0, 10)
+        : String(value);
+
+    if (normalize(fromYaml) !== normalize(fromFile)) {
+      throw new Error(
+        `Conflicting ${key} for post ${filepath}: "${normalize(fromYaml)}" in content.yml, "${normalize(fromFile)}" in front matter`,
+      );
+    }
+  }
 
+  const merged = { ...entry };
+  for (const [key, value] of Object.entries(frontMatter)) {
+    if (!isEmpty(value)) merged[key] = value;
+  }
+  return merged;
+}
+
+async function discoverPostFiles() {
+  try {
+    const entries = await promises.readdir(CONFIG.POSTS_DIR);
+    return entries
+      .filter((name) => name.endsWith(".md"))
+      .sort()
+      .map((name) => path.join(CONFIG.POSTS_DIR, name));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function loadTemplates() {
   try {
     const templates = {};
-    for (const file of templateFiles) {
+    const files = await promises.readdir("src/templates");
+
+    for (const file of files.filter((name) => name.endsWith(".html"))) {
       const templateName = file.replace(".html", "");
       templates[templateName] = await promises.readFile(
         `src/templates/${file}`,
@@ -69,58 +145,340 @@ async function loadTemplates() {
     }
     return templates;
   } catch (error) {
-    console.error("Error loading templates:", error);
-    process.exit(1);
+    throw new Error(`Error loading templates: ${error.message}`);
+  }
+}
+
+// A post is published once it is neither a draft nor dated in the future.
+// Preview builds (--drafts) publish everything.
+function isPublished(post, options, now = new Date()) {
+  if (options.drafts) return true;
+  if (post.draft) {
+    console.log(`Skipping draft post ${post.filepath}`);
+    return false;
+  }
+  if (post.date > now) {
+    console.log(
+      `Skipping scheduled post ${post.filepath} (${post.date.toISOString().slice(0, 10)})`,
+    );
+    return false;
+  }
+  return true;
+}
+
+// People posts can be attributed to, keyed by id. Sites that only set the
+// top-level `author` get a single author with that name.
+function loadAuthors(yamlData) {
+  if (isEmpty(yamlData.authors) && isEmpty(yamlData.author)) {
+    throw new Error("content.yml needs an `author` or `authors`");
+  }
+  const entries = yamlData.authors || {
+    [getTagSlug(yamlData.author)]: { name: yamlData.author },
+  };
+  const authors = new Map();
+
+  for (const [id, entry] of Object.entries(entries)) {
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Invalid author id "${id}" in content.yml`);
+    }
+    if (!entry || !entry.name) {
+      throw new Error(`Author "${id}" in content.yml has no name`);
+    }
+    authors.set(id, {
+      id,
+      name: entry.name,
+      email: entry.email || null,
+      bio: entry.bio || "",
+      avatar: entry.avatar || null,
+      url: `/authors/${id}/`,
+    });
   }
+  if (authors.size === 0) {
+    throw new Error("content.yml needs at least one author");
+  }
+  return authors;
+}
+
+// Top-level paths with their own builders, which pages and apps can't use
+const RESERVED_PAGE_SLUGS = [
+  "archive",
+  "assets",
+  "authors",
+  "page",
+  "posts",
+  "search",
+  "series",
+  "tags",
+  "tools",
+];
+const PAGE_SLUG_REGEX = /^[a-z0-9-]+(?:\/[a-z0-9-]+)*$/;
+
+// Standalone Markdown pages declared under `pages` in content.yml
+function loadPages(entries = []) {
+  const slugs = new Set();
+
+  return entries.map((entry) => {
+    const slug = String(entry.slug || "");
+    if (!PAGE_SLUG_REGEX.test(slug)) {
+      throw new Error(`Invalid slug "${slug}" for page in content.yml`);
+    }
+    if (RESERVED_PAGE_SLUGS.includes(slug.split("/")[0])) {
+      throw new Error(`Page slug "${slug}" clashes with a built-in section`);
+    }
+    if (slugs.has(slug)) {
+      throw new Error(`Duplicate page slug "${slug}" in content.yml`);
+    }
+    if (!entry.filepath) {
+      throw new Error(`Page "${slug}" in content.yml has no filepath`);
+    }
+    slugs.add(slug);
+
+    return {
+      slug,
+      filepath: path.normalize(entry.filepath),
+      title: entry.title || entry.nav || slug,
+      template: entry.template || "page",
+      nav: entry.nav || null,
+      order: entry.order ?? 0,
+      path: `/${slug}/`,
+    };
+  });
 }
 
-async function loadBlogData() {
+async function loadBlogData(options = {}) {
   try {
     const yamlContent = await promises.readFile("src/content.yml", "utf8");
     const yamlData = yaml.load(yamlContent);
 
+    // Posts are discovered from the posts directory; content.yml entries are
+    // optional and keyed by filepath
+    const entriesByFile = new Map();
+    for (const entry of yamlData.posts || []) {
+      if (!entry.filepath) {
+        throw new Error(`Post "${entry.title}" in content.yml has no filepath`);
+      }
+      entriesByFile.set(path.normalize(entry.filepath), entry);
+    }
+
+    const filepaths = new Set(await discoverPostFiles());
+    entriesByFile.forEach((_, filepath) => filepaths.add(filepath));
+
+    const authors = loadAuthors(yamlData);
+    const [defaultAuthorId] = authors.keys();
+
     // Process posts
-    const posts = yamlData.posts.map((postRaw) => {
-      const slug = postRaw.slug || getSlugFromFile(postRaw.filepath);
+    const posts = [];
+    const filesBySlug = new Map();
+
+    for (const filepath of filepaths) {
+      const raw = await promises.readFile(filepath, "utf8");
+      let attributes, body;
+      try {
+        ({ attributes, body } = splitFrontMatter(raw));
+      } catch (error) {
+        throw new Error(
+          `Invalid front matter in ${filepath}: ${error.message}`,
+        );
+      }
+      const postRaw = mergePostMetadata(
+        filepath,
+        attributes,
+        entriesByFile.get(filepath) || {},
+      );
 
-      return {
+      if (isEmpty(postRaw.title)) {
+        throw new Error(`Missing title for post ${filepath}`);
+      }
+      if (isEmpty(postRaw.date)) {
+        throw new Error(`Missing date for post ${filepath}`);
+      }
+
+      const slug = postRaw.slug || getSlugFromFile(filepath);
+      if (filesBySlug.has(slug)) {
+        throw new Error(
+          `Duplicate slug "${slug}" for posts ${filesBySlug.get(slug)} and ${filepath}`,
+        );
+      }
+      filesBySlug.set(slug, filepath);
+
+      const date = parsePostDate(postRaw.date, filepath);
+      // `updated: git` takes the date from the post's latest commit
+      const updated =
+        postRaw.updated === "git"
+          ? await getGitUpdatedDate(filepath)
+          : isEmpty(postRaw.updated) || postRaw.updated === false
+            ? null
+            : parsePostDate(postRaw.updated, filepath);
+      const wordCount = countWords(body);
+
+      // `author: id` or `authors: [id, ...]`, else the first listed author
+      const postAuthors = []
+        .concat(postRaw.authors ?? postRaw.author ?? defaultAuthorId)
+        .map((id) => {
+          if (!authors.has(String(id))) {
+            throw new Error(`Unknown author "${id}" for post ${filepath}`);
+          }
+          return authors.get(String(id));
+        });
+
+      if (
+        !isEmpty(postRaw.series_part) &&
+        !Number.isInteger(postRaw.series_part)
+      ) {
+        throw new Error(
+          `Invalid series_part "${postRaw.series_part}" for post ${filepath}`,
+        );
+      }
+
+      posts.push({
         title: postRaw.title,
         subtitle: postRaw.subtitle || "",
-        date: new Date(postRaw.date),
-        filepath: postRaw.filepath,
+        date,
+        // Only worth showing if it's a later day than publication
+        updated:
+          updated && !isSameDay(updated, date) && updated > date
+            ? updated
+            : null,
+        wordCount,
+        readingTime: Math.max(
+          1,
+          Math.round(wordCount / CONFIG.READING_WORDS_PER_MINUTE),
+        ),
+        filepath,
+        slug,
+        tags: [].concat(postRaw.tags || []).map(String),
+        authors: postAuthors,
+        draft: postRaw.draft === true,
+        unlisted: postRaw.unlisted === true,
+        image: postRaw.image || null,
+        toc: typeof postRaw.toc === "boolean" ? postRaw.toc : null,
+        series: isEmpty(postRaw.series)
+          ? null
+          : { name: String(postRaw.series), part: postRaw.series_part ?? null },
+        contentHash: hashContent(raw),
         path: `posts/${slug}`,
-      };
-    });
+      });
+    }
 
     // Sort posts by date (newest first)
     posts.sort((a, b) => new Date(b.date) - new Date(a.date));
 
+    // Unlisted posts are built at their URL but left out of every listing
+    const publishedPosts = posts.filter((post) => isPublished(post, options));
+    const listedPosts = publishedPosts.filter((post) => !post.unlisted);
+    const unlistedPosts = publishedPosts.filter((post) => post.unlisted);
+    // Fail on unusable tags and series before any page links to them
+    groupPostsByTag(publishedPosts);
+    groupPostsBySeries(publishedPosts);
+
+    const apps = loadApps(yamlData.apps);
+    const pages = loadPages(yamlData.pages);
+    for (const page of pages) {
+      // Either one nested inside the other would overwrite its output
+      const clashes = (app) =>
+        app.url.startsWith(page.path) || page.path.startsWith(app.url);
+      if (apps.some(clashes)) {
+        throw new Error(`Page "${page.slug}" clashes with an app's url`);
+      }
+    }
+
+    // The site's own author, for feeds and metadata: the top-level `author`
+    // if set, otherwise the first listed author
+    const siteAuthor = isEmpty(yamlData.author)
+      ? authors.get(defaultAuthorId).name
+      : String(yamlData.author);
+
     const data = {
       title: yamlData.title,
-      author: yamlData.author,
-      description: `${yamlData.title} - ${yamlData.author}'s personal website`,
+      author: siteAuthor,
+      authors: [...authors.values()],
+      description: `${yamlData.title} - ${siteAuthor}'s personal website`,
       url: yamlData.url,
-      about: { filepath: yamlData.about.filepath },
-      posts,
+      image: yamlData.image || null,
+      pages,
+      apps,
+      feeds: { fullContent: (yamlData.feeds || {}).full_content === true },
+      archive: {
+        splitByYear: (yamlData.archive || {}).split_by_year === true,
+      },
+      posts: listedPosts,
+      unlistedPosts,
     };
 
-    console.log(`Loaded ${posts.length} posts`);
+    console.log(
+      `Loaded ${publishedPosts.length} posts (${unlistedPosts.length} unlisted)`,
+    );
     return data;
   } catch (error) {
-    console.error("Error loading content.yml:", error);
-    process.exit(1);
+    throw new Error(`Error loading blog data: ${error.message}`);
   }
 }
 
+// A missing content file is a broken build, not a page with a placeholder
 async function loadContent(filepath) {
   try {
-    return await promises.readFile(filepath, "utf8");
+    const raw = await promises.readFile(filepath, "utf8");
+    return splitFrontMatter(raw).body;
+  } catch (error) {
+    throw new Error(
+      `Could not load content from ${filepath}: ${error.message}`,
+    );
+  }
+}
+
+const execFileAsync = promisify(execFile);
+
+// Keyed by "<HEAD>:<filepath>" so dev rebuilds only go back to git after a commit
+const gitCommitDatesCache = new Map();
+
+// Dates of the commits to a file or directory, newest first. Empty outside a
+// git checkout or for files that were never committed.
+async function getGitCommitDates(filepath) {
+  try {
+    const { stdout: head } = await execFileAsync("git", ["rev-parse", "HEAD"]);
+    const cacheKey = `${head.trim()}:${filepath}`;
+    if (!gitCommitDatesCache.has(cacheKey)) {
+      gitCommitDatesCache.set(cacheKey, readGitCommitDates(filepath));
+    }
+    return await gitCommitDatesCache.get(cacheKey);
   } catch (error) {
-    console.error(`Error loading ${filepath}:`, error);
-    return null;
+    return [];
   }
 }
 
+async function readGitCommitDates(filepath) {
+  // --follow tracks renames but only works for a single file
+  const follow = (await promises.stat(filepath)).isFile() ? ["--follow"] : [];
+  const { stdout } = await execFileAsync("git", [
+    "log",
+    ...follow,
+    "--format=%cI",
+    "--",
+    filepath,
+  ]);
+  return stdout
+    .trim()
+    .split("\n")
+    .filter(Boolean)
+    .map((date) => new Date(date));
+}
+
+// Date of the latest commit to a post, ignoring the commit that added it.
+// Null outside a git checkout or for posts that haven't been edited since.
+async function getGitUpdatedDate(filepath) {
+  const commitDates = await getGitCommitDates(filepath);
+  return commitDates.length > 1 ? commitDates[0] : null;
+}
+
+function isSameDay(a, b) {
+  return a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10);
+}
+
+function countWords(content) {
+  const text = stripMarkdown(content);
+  return text ? text.split(" ").length : 0;
+}
+
 function formatDate(dateString) {
   const options = { year: "numeric", month: "long", day: "numeric" };
   return new Date(dateString).toLocaleDateString("en-US", options);
@@ -130,18 +488,25 @@ function formatRSSDate(date) {
   return new Date(date).toUTCString();
 }
 
-function createExcerpt(content, maxLength = CONFIG.EXCERPT_MAX_LENGTH) {
-  if (!content) return "No content available.";
-
-  // Remove markdown formatting for excerpt
-  let plainText = content
+// Reduce Markdown (and any inline HTML) to plain text
+function stripMarkdown(content) {
+  return content
+    .replace(/<[^>]+>/g, " ") // Remove HTML tags
     .replace(/#{1,6}\s+/g, "") // Remove headers
     .replace(/\*\*(.*?)\*\*/g, "$1") // Remove bold
     .replace(/\*(.*?)\*/g, "$1") // Remove italic
-    .replace(/\[(.*?)\]\(.*?\)/g, "$1") // Remove links, keep text
+    .replace(/!?\[(.*?)\]\(.*?\)/g, "$1") // Remove links and images, keep text
     .replace(/`(.*?)`/g, "$1") // Remove inline code
-    .replace(/\n+/g, " ") // Replace newlines with spaces
+    .replace(/\[\^[^\]\s]+\]:?/g, "") // Remove footnote markers
+    .replace(/^:::.*$/gm, "") // Remove callout fences
+    .replace(/\s+/g, " ") // Collapse newlines and whitespace
     .trim();
+}
+
+function createExcerpt(content, maxLength = CONFIG.EXCERPT_MAX_LENGTH) {
+  if (!content) return "No content available.";
+
+  const plainText = stripMarkdown(content);
 
   if (plainText.length <= maxLength) return plainText;
 
@@ -158,6 +523,24 @@ function createExcerpt(content, maxLength = CONFIG.EXCERPT_MAX_LENGTH) {
   return truncated.substring(0, lastSpace) + "...";
 }
 
+// Split items into pages of `perPage`. There is always at least one page.
+function paginate(items, perPage) {
+  const pages = [];
+  for (let i = 0; i < items.length; i += perPage) {
+    pages.push(items.slice(i, i + perPage));
+  }
+  return pages.length > 0 ? pages : [[]];
+}
+
+function getPagination(newer, older) {
+  if (!newer && !older) return null;
+  return { newer: newer || null, older: older || null };
+}
+
+function getNewestPostDate(posts) {
+  return posts.length > 0 ? posts[0].date : null;
+}
+
 function groupPostsByYear(posts) {
   const postsByYear = {};
   posts.forEach((post) => {
@@ -175,389 +558,2508 @@ function groupPostsByYear(posts) {
   return postsByYear;
 }
 
-function generateNavigation(activeNav = null) {
-  const navItems = [
-    { path: "/", label: "Home", key: "home" },
-    { path: "/archive/", label: "Archive", key: "archive" },
-    { path: "/about/", label: "About", key: "about" },
-  ];
-
-  return navItems
-    .map((item) => {
-      const isActive = item.key === activeNav;
-      const style = isActive ? "color: #3d362e; font-weight: 600;" : "";
-      return `<li><a href="${item.path}" style="${style}">${item.label}</a></li>`;
-    })
-    .join("");
-}
-
-function generateFeaturedPost(post, postContent, isFirst = false) {
-  const postExcerpt = createExcerpt(postContent);
-  const cssClass = isFirst ? "first-post" : "subsequent-post";
-
-  return `
-    <article class="featured-post ${cssClass}">
-      <div class="post-date">${formatDate(post.date)}</div>
-      <h2 class="post-title">${post.title}</h2>
-      <p class="post-subtitle">${post.subtitle}</p>
-      <div class="post-excerpt">
-        <p>${postExcerpt}</p>
-      </div>
-      <a href="/${post.path}/" class="read-more">Continue reading</a>
-    </article>
-  `;
+function getTagSlug(tag) {
+  return tag
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
 }
 
-function generatePostNavigation(post, posts) {
-  const currentIndex = posts.findIndex((p) => p.path === post.path);
-  let navHTML = '<div class="post-nav-container">';
-
-  if (currentIndex > 0) {
-    const prevPost = posts[currentIndex - 1];
-    navHTML += `
-      <div class="post-nav-left">
-        <a href="/${prevPost.path}/" class="nav-button">Previous</a>
-      </div>
-    `;
+// Adds a post to the group for `name`, refusing names that can't have a
+// page of their own under `urlPrefix`
+function addToSlugGroup(groups, name, post, urlPrefix) {
+  const slug = getTagSlug(name);
+  if (!slug) {
+    throw new Error(
+      `"${name}" in ${post.filepath} has no letters or digits to build a ${urlPrefix}/ URL from`,
+    );
   }
 
-  if (currentIndex < posts.length - 1) {
-    const nextPost = posts[currentIndex + 1];
-    navHTML += `
-      <div class="post-nav-right">
-        <a href="/${nextPost.path}/" class="nav-button">Next</a>
-      </div>
-    `;
+  if (!groups[slug]) {
+    groups[slug] = { name, slug, posts: [] };
+  } else if (groups[slug].name !== name) {
+    throw new Error(
+      `"${groups[slug].name}" and "${name}" (in ${post.filepath}) would both be published at ${urlPrefix}/${slug}/`,
+    );
   }
-
-  navHTML += "</div>";
-  return navHTML;
+  groups[slug].posts.push(post);
 }
 
-function generateArchivePage(postsByYear) {
-  let archiveHTML = "";
-  const sortedYears = Object.keys(postsByYear).sort((a, b) => b - a);
-
-  sortedYears.forEach((year) => {
-    archiveHTML += `<div class="archive-year"><h2>${year}</h2>`;
-
-    const months = Object.keys(postsByYear[year]);
-    months.sort((a, b) => {
-      const dateA = new Date(`${a} 1, ${year}`);
-      const dateB = new Date(`${b} 1, ${year}`);
-      return dateB - dateA;
+function groupPostsByTag(posts) {
+  const postsByTag = {};
+  posts.forEach((post) => {
+    post.tags.forEach((tag) => {
+      addToSlugGroup(postsByTag, tag, post, "/tags");
     });
+  });
+  return postsByTag;
+}
 
-    months.forEach((month) => {
-      const monthPosts = postsByYear[year][month];
-      archiveHTML += `<div class="archive-month">`;
-
-      monthPosts.forEach((post, index) => {
-        const date = new Date(post.date);
-        const day = date.getDate().toString().padStart(2, "0");
-        const isFirstInMonth = index === 0;
-
-        archiveHTML += `<div class="archive-entry">`;
-
-        if (isFirstInMonth) {
-          archiveHTML += `
-            <h3 class="archive-month-header">${month}</h3>
-            <div>
-              <span class="archive-date">${day}</span> &nbsp;&nbsp;-&nbsp;&nbsp;
-              <a href="/${post.path}/" class="archive-link">${post.title}</a>
-            </div>
-          `;
-        } else {
-          archiveHTML += `
-            <div class="archive-month-spacer"></div>
-            <span class="archive-date">${day}</span> &nbsp;&nbsp;-&nbsp;&nbsp;
-            <a href="/${post.path}/" class="archive-link">${post.title}</a>
-          `;
-        }
+// Posts in each series in reading order: by `series_part` where given,
+// otherwise oldest first
+function groupPostsBySeries(posts) {
+  const postsBySeries = {};
+  posts.forEach((post) => {
+    if (!post.series) return;
+    addToSlugGroup(postsBySeries, post.series.name, post, "/series");
+  });
 
-        archiveHTML += "</div>";
-      });
+  const getPart = (post) => post.series.part ?? Infinity;
+  Object.values(postsBySeries).forEach((series) => {
+    series.posts.sort((a, b) => getPart(a) - getPart(b) || a.date - b.date);
+  });
+  return postsBySeries;
+}
 
-      archiveHTML += "</div>";
-    });
+// --- Related posts ---
+//
+// Posts are compared by shared tags plus the cosine similarity of their
+// TF-IDF weighted terms, so words common to every post count for nothing.
+
+const STOP_WORDS = new Set([
+  "about",
+  "after",
+  "again",
+  "also",
+  "and",
+  "any",
+  "are",
+  "because",
+  "been",
+  "before",
+  "being",
+  "but",
+  "can",
+  "could",
+  "did",
+  "does",
+  "for",
+  "from",
+  "had",
+  "has",
+  "have",
+  "her",
+  "here",
+  "him",
+  "his",
+  "how",
+  "into",
+  "its",
+  "just",
+  "like",
+  "more",
+  "most",
+  "not",
+  "now",
+  "off",
+  "once",
+  "one",
+  "only",
+  "other",
+  "our",
+  "out",
+  "over",
+  "own",
+  "same",
+  "she",
+  "should",
+  "some",
+  "such",
+  "than",
+  "that",
+  "the",
+  "their",
+  "them",
+  "then",
+  "there",
+  "these",
+  "they",
+  "this",
+  "those",
+  "through",
+  "too",
+  "under",
+  "until",
+  "very",
+  "was",
+  "were",
+  "what",
+  "when",
+  "where",
+  "which",
+  "while",
+  "who",
+  "why",
+  "will",
+  "with",
+  "would",
+  "you",
+  "your",
+]);
+
+function getTermCounts(text) {
+  const counts = new Map();
+  for (const term of text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []) {
+    const word = term.replace(/'s$|'/g, "");
+    if (word.length < 3 || STOP_WORDS.has(word)) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+}
 
-    archiveHTML += "</div>";
+function getTermVectors(texts) {
+  const counts = texts.map(getTermCounts);
+  const documentFrequency = new Map();
+  counts.forEach((termCounts) => {
+    termCounts.forEach((_, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
   });
 
-  return archiveHTML;
+  return counts.map((termCounts) => {
+    const vector = new Map();
+    let norm = 0;
+    termCounts.forEach((count, term) => {
+      const weight =
+        count * Math.log(texts.length / documentFrequency.get(term));
+      if (weight > 0) {
+        vector.set(term, weight);
+        norm += weight * weight;
+      }
+    });
+    return { vector, norm: Math.sqrt(norm) };
+  });
 }
 
-async function generateRSSFeed(data) {
-  console.log("Generating RSS feed...");
+function getCosineSimilarity(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0;
 
-  const postsForRSS = data.posts.slice(0, CONFIG.RSS_MAX_POSTS);
-  let rssItems = "";
+  let dot = 0;
+  a.vector.forEach((weight, term) => {
+    dot += weight * (b.vector.get(term) || 0);
+  });
+  return dot / (a.norm * b.norm);
+}
 
-  for (const post of postsForRSS) {
-    const content = await loadContent(post.filepath);
-    const descriptionRaw = content
-      ? createExcerpt(content, 500)
-      : post.subtitle;
-    const description = sanitizeRSSDescription(descriptionRaw);
-    const postUrl = `${data.url}/${post.path}/`;
+// Map each post's path to its most related listed posts, best first. Other
+// parts of the same series are left out as the series box already links them.
+async function findRelatedPosts(posts, candidates) {
+  const allPosts = [...new Set([...candidates, ...posts])];
+  const texts = [];
+  for (const post of allPosts) {
+    texts.push(
+      [
+        post.title,
+        post.subtitle,
+        stripMarkdown(await loadContent(post.filepath)),
+      ].join(" "),
+    );
+  }
+  const vectors = new Map(
+    getTermVectors(texts).map((vector, i) => [allPosts[i], vector]),
+  );
 
-    rssItems += `
-    <item>
-      <title><![CDATA[${post.title}]]></title>
-      <description><![CDATA[${description}]]></description>
-      <link>${postUrl}</link>
-      <guid>${postUrl}</guid>
-      <pubDate>${formatRSSDate(post.date)}</pubDate>
-    </item>`;
+  const relatedPosts = new Map();
+  for (const post of posts) {
+    const scored = candidates
+      .filter(
+        (other) =>
+          other !== post &&
+          !(post.series && other.series?.name === post.series.name),
+      )
+      .map((other) => {
+        const sharedTags = other.tags.filter((tag) => post.tags.includes(tag));
+        return {
+          post: other,
+          score:
+            sharedTags.length * CONFIG.RELATED_POSTS_TAG_WEIGHT +
+            getCosineSimilarity(vectors.get(post), vectors.get(other)),
+        };
+      })
+      .filter(({ score }) => score >= CONFIG.RELATED_POSTS_MIN_SCORE)
+      .sort((a, b) => b.score - a.score || b.post.date - a.post.date);
+
+    relatedPosts.set(
+      post.path,
+      scored.slice(0, CONFIG.RELATED_POSTS_COUNT).map(({ post }) => post),
+    );
   }
+  return relatedPosts;
+}
 
-  const lastBuildDate = formatRSSDate(new Date());
-  const mostRecentPostDate =
-    data.posts.length > 0 ? formatRSSDate(data.posts[0].date) : lastBuildDate;
-  const email = `noreply@${data.url.replace(/https?:\/\//, "").replace(/\/$/, "")}`;
+// --- Markdown ---
+//
+// Extensions on top of standard Markdown:
+//
+//   ![alt](src "Caption")        image on its own line, rendered as a figure
+//   Text[^note]                  footnote reference
+//   [^note]: Footnote text       footnote, listed at the end of the post;
+//                                indent following lines to continue it
+//   :::note Optional title       callout block (note, tip, warning, danger),
+//   Body in Markdown             closed by a line with just :::
+//   :::
+//
+// Headings get IDs from their text and a link to themselves.
+
+const CALLOUT_TYPES = ["note", "tip", "warning", "danger"];
+const CALLOUT_REGEX = new RegExp(
+  `^:::(${CALLOUT_TYPES.join("|")})(?:[ \\t]+([^\\n]*))?\\n([\\s\\S]*?)\\n:::[ \\t]*(?:\\n+|$)`,
+);
+const FOOTNOTE_DEFINITION_REGEX =
+  /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]*\n)*(?: {2,}|\t)[^\n]*)*)(?:\n+|$)/;
+const FOOTNOTE_REFERENCE_REGEX = /^\[\^([^\]\s]+)\]/;
+
+function getHeadingId(text, usedIds) {
+  const base =
+    stripMarkdown(text)
+      .toLowerCase()
+      .replace(/&[a-z]+;|&#\d+;/g, "")
+      .replace(/[^\p{L}\p{N}\s-]/gu, "")
+      .trim()
+      .replace(/\s+/g, "-") || "section";
 
-  const rssXml = `<?xml version="1.0" encoding="UTF-8"?>
-  <rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
-    <channel>
-      <title>${data.title}</title>
-      <description><![CDATA[${data.description}]]></description>
-      <link>${data.url}</link>
-      <image>
-        <url>${data.url}/assets/icons/rss-144x144.png</url>
-        <title>${data.title}</title>
-        <link>${data.url}</link>
-      </image>
-      <atom:link href="${data.url}/feed.xml" rel="self" type="application/rss+xml"/>
-      <language>en-us</language>
-      <managingEditor>${email} (${data.author})</managingEditor>
-      <webMaster>${email} (${data.author})</webMaster>
-      <lastBuildDate>${lastBuildDate}</lastBuildDate>
-      <pubDate>${mostRecentPostDate}</pubDate>
-      <ttl>60</ttl>${rssItems}
-    </channel>
-  </rss>`;
+  let id = base;
+  for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+  usedIds.add(id);
+  return id;
+}
 
-  return rssXml;
+const markdownExtensions = [
+  {
+    name: "callout",
+    level: "block",
+    start: (src) => src.match(/^:::/m)?.index,
+    tokenizer(src) {
+      const match = src.match(CALLOUT_REGEX);
+      if (!match) return;
+      return {
+        type: "callout",
+        raw: match[0],
+        kind: match[1],
+        title: match[2] || "",
+        tokens: this.lexer.blockTokens(match[3], []),
+      };
+    },
+    renderer(token) {
+      const title =
+        token.title || token.kind[0].toUpperCase() + token.kind.slice(1);
+      return `<aside class="callout callout-${token.kind}">
+<p class="callout-title">${escapeHTML(title)}</p>
+${this.parser.parse(token.tokens)}</aside>\n`;
+    },
+  },
+  {
+    name: "footnoteDefinition",
+    level: "block",
+    start: (src) => src.match(/^\[\^/m)?.index,
+    tokenizer(src) {
+      const match = src.match(FOOTNOTE_DEFINITION_REGEX);
+      if (!match) return;
+      return {
+        type: "footnoteDefinition",
+        raw: match[0],
+        label: match[1],
+        tokens: this.lexer.blockTokens(
+          match[2].replace(/^(?: {2,4}|\t)/gm, ""),
+          [],
+        ),
+      };
+    },
+    // Collected by renderMarkdown and listed after the content
+    renderer: () => "",
+  },
+  {
+    name: "footnoteReference",
+    level: "inline",
+    start: (src) => src.indexOf("[^"),
+    tokenizer(src) {
+      const match = src.match(FOOTNOTE_REFERENCE_REGEX);
+      if (!match) return;
+      return { type: "footnoteReference", raw: match[0], label: match[1] };
+    },
+    renderer(token) {
+      if (!token.number) return escapeHTML(token.raw);
+      const id = escapeHTML(token.label);
+      return `<sup class="footnote-ref"><a href="#fn-${id}" id="${token.id}">${token.number}</a></sup>`;
+    },
+  },
+  {
+    name: "heading",
+    renderer(token) {
+      if (!token.id) return false;
+      return `<h${token.depth} id="${token.id}">${this.parser.parseInline(token.tokens)} <a class="heading-anchor" href="#${token.id}" aria-label="Link to this section">#</a></h${token.depth}>\n`;
+    },
+  },
+  {
+    // A paragraph holding only a captioned image becomes a figure
+    name: "paragraph",
+    renderer(token) {
+      const [image] = token.tokens;
+      if (token.tokens.length !== 1 || image.type !== "image" || !image.title) {
+        return false;
+      }
+      // The lexer has already escaped alt text and title
+      return `<figure class="post-image">
+  <img src="${escapeHTML(image.href)}" alt="${image.text}" />
+  <figcaption>${image.title}</figcaption>
+</figure>\n`;
+    },
+  },
+];
+
+marked.use({ extensions: markdownExtensions });
+
+function renderFootnotes(definitions, order) {
+  const items = order.map((label) => {
+    const id = escapeHTML(label);
+    const backlinks = definitions
+      .get(label)
+      .references.map(
+        (refId, i) =>
+          `<a href="#${refId}" class="footnote-backref" aria-label="Back to reference ${i + 1}">↩</a>`,
+      )
+      .join(" ");
+    const body = marked
+      .parser(definitions.get(label).tokens)
+      .trim()
+      // Keep the back-links inside the last paragraph
+      .replace(/(<\/p>)?$/, (end) => ` ${backlinks}${end}`);
+    return `<li id="fn-${id}">${body}</li>`;
+  });
+
+  return `<section class="footnotes">
+<hr />
+<ol>
+${items.join("\n")}
+</ol>
+</section>\n`;
 }
 
-async function ensureDir(dirPath) {
-  try {
-    await promises.mkdir(dirPath, { recursive: true });
-  } catch (error) {
-    if (error.code !== "EEXIST") {
-      throw error;
+// Render Markdown to HTML, also returning the h2/h3 headings for a table of
+// contents. Heading and footnote IDs are only unique within one document.
+function renderMarkdown(content) {
+  const tokens = marked.lexer(content);
+  if (marked.defaults.walkTokens) {
+    marked.walkTokens(tokens, marked.defaults.walkTokens);
+  }
+
+  const usedIds = new Set();
+  const headings = [];
+  const definitions = new Map();
+  const references = [];
+
+  marked.walkTokens(tokens, (token) => {
+    if (token.type === "heading") {
+      token.id = getHeadingId(token.text, usedIds);
+      if (token.depth === 2 || token.depth === 3) {
+        headings.push({
+          id: token.id,
+          text: stripMarkdown(token.text),
+          level: token.depth,
+        });
+      }
+    } else if (token.type === "footnoteDefinition") {
+      if (definitions.has(token.label)) {
+        console.warn(`Duplicate footnote [^${token.label}] ignored`);
+      } else {
+        definitions.set(token.label, { tokens: token.tokens, references: [] });
+      }
+    } else if (token.type === "footnoteReference") {
+      references.push(token);
+    }
+  });
+
+  // Number footnotes in the order they're first referenced
+  const order = [];
+  for (const token of references) {
+    const definition = definitions.get(token.label);
+    if (!definition) {
+      console.warn(`Footnote [^${token.label}] has no definition`);
+      continue;
     }
+    if (definition.references.length === 0) order.push(token.label);
+
+    token.number = order.indexOf(token.label) + 1;
+    token.id = `fnref-${escapeHTML(token.label)}${
+      definition.references.length > 0
+        ? `-${definition.references.length + 1}`
+        : ""
+    }`;
+    definition.references.push(token.id);
   }
+
+  let html = marked.parser(tokens);
+  if (order.length > 0) html += renderFootnotes(definitions, order);
+  return { html, headings };
 }
 
-function generateHead(template, data, asset_dir) {
-  console.log("Generating head...");
-  return template
-    .replace(/\{\{TITLE\}\}/g, data.title)
-    .replace(/\{\{SITE_TITLE\}\}/g, data.title)
-    .replace(/\{\{ASSETS_DIR\}\}/g, asset_dir)
-    .replace(/\{\{RSS_URL\}\}/g, "/feed.xml");
+// --- Templates ---
+//
+// Templates are HTML files in src/templates, referenced by name without the
+// extension. Supported tags:
+//
+//   {{NAME}}, {{post.title}}     variable, HTML-escaped
+//   {{{NAME}}}                   variable, inserted as-is
+//   {{> name}}                   include another template
+//   {{#each LIST}}…{{else}}…{{/each}}
+//   {{#if VALUE}}…{{else}}…{{/if}}, {{#unless VALUE}}…{{/unless}}
+//
+// Inside {{#each}}, the item's fields are in scope alongside the outer
+// context, as are `this`, `@index`, `@first` and `@last`.
+
+const TEMPLATE_TAG_REGEX = /\{\{\{\s*(.+?)\s*\}\}\}|\{\{\s*(.+?)\s*\}\}/g;
+const TEMPLATE_BLOCKS = ["each", "if", "unless"];
+const compiledTemplates = new Map();
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
 
-function generateHeader(template, data, activeNav = null) {
-  console.log("Generating header...");
+function parseTemplate(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.alternate || node.children;
+  };
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TEMPLATE_TAG_REGEX)) {
+    target().push({
+      type: "text",
+      value: source.slice(lastIndex, match.index),
+    });
+    lastIndex = match.index + match[0].length;
 
-  const navHTML = generateNavigation(activeNav);
-  const html = template
-    .replace(/\{\{SITE_TITLE\}\}/g, data.title)
-    .replace(/\{\{NAVIGATION\}\}/g, navHTML);
+    if (match[1]) {
+      target().push({ type: "raw", path: match[1] });
+      continue;
+    }
 
-  return html;
-}
+    const tag = match[2];
+    if (tag.startsWith("#")) {
+      const [block, expr] = tag.slice(1).split(/\s+/);
+      if (!TEMPLATE_BLOCKS.includes(block) || !expr) {
+        throw new Error(`Template ${name}: invalid block {{${tag}}}`);
+      }
+      const node = { type: block, path: expr, children: [], alternate: null };
+      target().push(node);
+      stack.push(node);
+    } else if (tag === "else") {
+      const node = stack[stack.length - 1];
+      if (stack.length === 1 || node.alternate) {
+        throw new Error(`Template ${name}: unexpected {{else}}`);
+      }
+      node.alternate = [];
+    } else if (tag.startsWith("/")) {
+      const node = stack.pop();
+      if (stack.length === 0 || node.type !== tag.slice(1).trim()) {
+        throw new Error(`Template ${name}: unexpected {{${tag}}}`);
+      }
+    } else if (tag.startsWith(">")) {
+      target().push({ type: "partial", name: tag.slice(1).trim() });
+    } else {
+      target().push({ type: "var", path: tag });
+    }
+  }
 
-function generateFooter(template, data) {
-  console.log("Generating footer...");
+  if (stack.length > 1) {
+    const node = stack[stack.length - 1];
+    throw new Error(`Template ${name}: unclosed {{#${node.type}}}`);
+  }
+  target().push({ type: "text", value: source.slice(lastIndex) });
+  return root.children;
+}
 
-  const html = template
-    .replace(/\{\{CURRENT_YEAR\}\}/g, new Date().getFullYear())
-    .replace(/\{\{AUTHOR\}\}/g, data.author)
-    .replace(/\{\{RSS_URL\}\}/g, "/feed.xml");
+function compileTemplate(templates, name) {
+  if (templates[name] === undefined) {
+    throw new Error(`Unknown template "${name}"`);
+  }
 
-  return html;
+  const source = templates[name];
+  if (!compiledTemplates.has(source)) {
+    compiledTemplates.set(source, parseTemplate(source, name));
+  }
+  return compiledTemplates.get(source);
 }
 
-async function buildHomePage(templates, data) {
-  console.log("Building home page...");
+// Names of every template `name` includes, directly or through other includes
+function getTemplateDependencies(templates, name, seen = new Set()) {
+  if (seen.has(name)) return seen;
+  seen.add(name);
 
-  const postsToShow = data.posts.slice(0, CONFIG.HOME_POSTS_COUNT);
-  let contentHTML = "";
-
-  for (let i = 0; i < postsToShow.length; i++) {
-    const post = postsToShow[i];
-    const postContent = await loadContent(post.filepath);
+  const visit = (nodes) => {
+    nodes.forEach((node) => {
+      if (node.type === "partial") {
+        getTemplateDependencies(templates, node.name, seen);
+      }
+      if (node.children) visit(node.children);
+      if (node.alternate) visit(node.alternate);
+    });
+  };
+  visit(compileTemplate(templates, name));
 
-    if (postContent) {
-      contentHTML += generateFeaturedPost(post, postContent, i === 0);
+  return seen;
+}
 
-      if (i < postsToShow.length - 1) {
-        contentHTML += '<hr class="post-separator">';
-      }
-    }
+function lookupTemplateValue(scopes, expr) {
+  const scope = scopes[scopes.length - 1];
+  if (expr.startsWith("@")) {
+    return scope.meta ? scope.meta[expr.slice(1)] : undefined;
   }
-  const headHTML = generateHead(templates.head, data, "/assets");
-  const headerHTML = generateHeader(templates.header, data, "home");
-  const footerHTML = generateFooter(templates.footer, data);
 
-  const html = templates.index
-    .replace(/\{\{HEAD\}\}/g, headHTML)
-    .replace(/\{\{HEADER\}\}/g, headerHTML)
-    .replace(/\{\{CONTENT\}\}/g, contentHTML)
-    .replace(/\{\{FOOTER\}\}/g, footerHTML);
+  const [first, ...rest] = expr.split(".");
+  let value;
+  if (first === "this") {
+    value = scope.data;
+  } else {
+    const owner = [...scopes]
+      .reverse()
+      .find(
+        (s) => s.data !== null && typeof s.data === "object" && first in s.data,
+      );
+    value = owner ? owner.data[first] : undefined;
+  }
 
-  await ensureDir(CONFIG.OUTPUT_DIR);
-  await promises.writeFile(`${CONFIG.OUTPUT_DIR}/index.html`, html);
-  console.log("Built index.html");
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
 }
 
-async function buildPostPages(templates, data) {
-  console.log("Building post pages...");
-
-  const headHTML = generateHead(templates.head, data, "/assets");
-  const headerHTML = generateHeader(templates.header, data, null);
-  const footerHTML = generateFooter(templates.footer, data);
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
 
-  for (const post of data.posts) {
-    const content = await loadContent(post.filepath);
+function renderNodes(templates, nodes, scopes) {
+  let html = "";
 
-    if (!content) {
-      console.warn(`Could not load content for ${post.path}`);
+  for (const node of nodes) {
+    if (node.type === "text") {
+      html += node.value;
+      continue;
+    }
+    if (node.type === "partial") {
+      html += renderNodes(
+        templates,
+        compileTemplate(templates, node.name),
+        scopes,
+      );
       continue;
     }
-    const postContentHTML = marked.parse(content);
-    const postNavigationHTML = generatePostNavigation(post, data.posts);
-    const postDate = formatDate(post.date);
-    const postDir = `${CONFIG.OUTPUT_DIR}/${post.path}`;
 
-    const html = templates.post
-      .replace(/\{\{HEAD\}\}/g, headHTML)
-      .replace(/\{\{HEADER\}\}/g, headerHTML)
-      .replace(/\{\{POST_DATE\}\}/g, postDate)
-      .replace(/\{\{POST_TITLE\}\}/g, post.title)
-      .replace(/\{\{POST_SUBTITLE\}\}/g, post.subtitle)
-      .replace(/\{\{POST_CONTENT\}\}/g, postContentHTML)
-      .replace(/\{\{POST_NAVIGATION\}\}/g, postNavigationHTML)
-      .replace(/\{\{FOOTER\}\}/g, footerHTML);
+    const value = lookupTemplateValue(scopes, node.path);
 
-    await ensureDir(postDir);
-    await promises.writeFile(`${postDir}/index.html`, html);
-    console.log(`Built ${post.pathslug}/index.html`);
+    if (node.type === "var" || node.type === "raw") {
+      if (value === null || value === undefined) continue;
+      html += node.type === "raw" ? String(value) : escapeHTML(value);
+    } else if (node.type === "each") {
+      const items = value || [];
+      if (items.length === 0) {
+        html += renderNodes(templates, node.alternate || [], scopes);
+      }
+      items.forEach((item, index) => {
+        const meta = {
+          index,
+          first: index === 0,
+          last: index === items.length - 1,
+        };
+        html += renderNodes(templates, node.children, [
+          ...scopes,
+          { data: item, meta },
+        ]);
+      });
+    } else {
+      const show = node.type === "if" ? isTruthy(value) : !isTruthy(value);
+      html += renderNodes(
+        templates,
+        show ? node.children : node.alternate || [],
+        scopes,
+      );
+    }
   }
-}
 
-async function buildAboutPage(templates, data) {
-  console.log("Building about page...");
+  return html;
+}
 
-  const content = await loadContent(data.about.filepath);
-  const aboutContent = content
-    ? marked.parse(content)
-    : "<p>About content could not be loaded.</p>";
-  const headHTML = generateHead(templates.head, data, "/assets");
-  const headerHTML = generateHeader(templates.header, data, "about");
-  const footerHTML = generateFooter(templates.footer, data);
+function renderTemplate(templates, name, context) {
+  return renderNodes(templates, compileTemplate(templates, name), [
+    { data: context, meta: null },
+  ]);
+}
 
-  const html = templates.about
-    .replace(/\{\{HEAD\}\}/g, headHTML)
-    .replace(/\{\{HEADER\}\}/g, headerHTML)
-    .replace(/\{\{CONTENT\}\}/g, aboutContent)
-    .replace(/\{\{FOOTER\}\}/g, footerHTML);
+// --- Template context ---
+
+// Built-in sections, placed among the content.yml pages and apps by `order`
+const NAVIGATION_SECTIONS = [
+  { path: "/", label: "Home", key: "home", order: 0 },
+  { path: "/archive/", label: "Archive", key: "archive", order: 10 },
+  { path: "/search/", label: "Search", key: "search", order: 100 },
+];
+const TOOLS_NAVIGATION = {
+  path: "/tools/",
+  label: "Tools",
+  key: "tools",
+  order: 90,
+};
 
-  await ensureDir(`${CONFIG.OUTPUT_DIR}/about`);
-  await promises.writeFile(`${CONFIG.OUTPUT_DIR}/about/index.html`, html);
-  console.log("Built about/index.html");
+function getNavigation(data, activeNav = null) {
+  const sections =
+    data.apps.length > 0
+      ? [...NAVIGATION_SECTIONS, TOOLS_NAVIGATION]
+      : NAVIGATION_SECTIONS;
+  const configuredItems = [...data.pages, ...data.apps]
+    .filter((item) => item.nav)
+    .map((item) => ({
+      path: item.path || item.url,
+      label: item.nav,
+      key: item.slug || item.url,
+      order: item.order,
+    }));
+
+  return [...sections, ...configuredItems]
+    .sort((a, b) => a.order - b.order)
+    .map(({ order, ...item }) => {
+      const isActive = item.key === activeNav;
+      const style = isActive ? "color: #3d362e; font-weight: 600;" : "";
+      return { ...item, style };
+    });
 }
 
-async function buildArchivePage(templates, data) {
-  console.log("Building archive page...");
-
-  const postsByYear = groupPostsByYear(data.posts);
-  const archiveHTML = generateArchivePage(postsByYear);
-  const headHTML = generateHead(templates.head, data, "/assets");
-  const headerHTML = generateHeader(templates.header, data, "archive");
-  const footerHTML = generateFooter(templates.footer, data);
+function getAbsoluteUrl(data, url, pagePath = "/") {
+  return new URL(url, `${data.url}${pagePath}`).href;
+}
 
-  const html = templates.archive
-    .replace(/\{\{HEAD\}\}/g, headHTML)
-    .replace(/\{\{HEADER\}\}/g, headerHTML)
-    .replace(/\{\{CONTENT\}\}/g, archiveHTML)
-    .replace(/\{\{FOOTER\}\}/g, footerHTML);
+// Title, description and social/search metadata for a page. `meta.path` is
+// the page's URL path, e.g. "/archive/".
+function getPageMeta(data, meta) {
+  const image = meta.image || data.image;
+
+  return {
+    TITLE: meta.title ? `${meta.title} | ${data.title}` : data.title,
+    DESCRIPTION: meta.description || data.description,
+    CANONICAL_URL: getAbsoluteUrl(data, meta.path),
+    OG_TYPE: meta.type || "website",
+    OG_IMAGE: image ? getAbsoluteUrl(data, image, meta.path) : null,
+    TWITTER_CARD: meta.image ? "summary_large_image" : "summary",
+    ROBOTS: meta.noindex ? "noindex" : null,
+    LASTMOD: meta.lastmod ? meta.lastmod.toISOString() : null,
+    // Escape "<" so the JSON can't close the surrounding <script> tag
+    JSON_LD: meta.jsonLD
+      ? JSON.stringify(meta.jsonLD).replace(/</g, "\\u003c")
+      : null,
+  };
+}
 
-  await ensureDir(`${CONFIG.OUTPUT_DIR}/archive`);
-  await promises.writeFile(`${CONFIG.OUTPUT_DIR}/archive/index.html`, html);
-  console.log("Built archive/index.html");
+function getBlogPostingJSONLD(data, post, description, image) {
+  const url = getAbsoluteUrl(data, `/${post.path}/`);
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "BlogPosting",
+    headline: post.title,
+    description,
+    url,
+    mainEntityOfPage: url,
+    datePublished: post.date.toISOString(),
+    ...(post.updated ? { dateModified: post.updated.toISOString() } : {}),
+    wordCount: post.wordCount,
+    author: post.authors.map((author) => ({
+      "@type": "Person",
+      name: author.name,
+      url: getAbsoluteUrl(data, author.url),
+    })),
+    publisher: { "@type": "Person", name: data.author },
+    ...(image ? { image: getAbsoluteUrl(data, image, `/${post.path}/`) } : {}),
+  };
 }
 
-async function buildRSSFeed(data) {
-  console.log("Building RSS feed...");
+function createPageContext(data, activeNav = null, page = {}, meta = {}) {
+  return {
+    ...getPageMeta(data, { path: "/", ...meta }),
+    SITE_TITLE: data.title,
+    AUTHOR: data.author,
+    ASSETS_DIR: "/assets",
+    RSS_URL: FEED_PATHS.rss,
+    ATOM_URL: FEED_PATHS.atom,
+    JSON_FEED_URL: FEED_PATHS.json,
+    CURRENT_YEAR: new Date().getFullYear(),
+    NAVIGATION: getNavigation(data, activeNav),
+    ...page,
+  };
+}
 
-  const rssXml = await generateRSSFeed(data);
-  await promises.writeFile(`${CONFIG.OUTPUT_DIR}/feed.xml`, rssXml);
-  console.log("Built feed.xml");
+function getPostTags(post) {
+  return post.tags.map((tag) => ({
+    name: tag,
+    url: `/tags/${getTagSlug(tag)}/`,
+  }));
 }
 
-async function copyDirectory(src, dest) {
-  await promises.access(src);
-  await ensureDir(dest);
-  const entries = await promises.readdir(src, { withFileTypes: true });
+function getPostSummary(post) {
+  return {
+    title: post.title,
+    subtitle: post.subtitle,
+    date: formatDate(post.date),
+    updated: post.updated ? formatDate(post.updated) : null,
+    readingTime: post.readingTime,
+    wordCount: post.wordCount,
+    url: `/${post.path}/`,
+    tags: getPostTags(post),
+  };
+}
 
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
+function getPostNeighbours(post, posts) {
+  const currentIndex = posts.findIndex((p) => p.path === post.path);
 
-    if (entry.isDirectory()) {
-      await copyDirectory(srcPath, destPath);
-    } else {
-      await promises.copyFile(srcPath, destPath);
-    }
+  // Unlisted posts sit outside the chronological sequence
+  if (currentIndex === -1) {
+    return { PREVIOUS_POST: null, NEXT_POST: null };
   }
+
+  const prevPost = posts[currentIndex - 1];
+  const nextPost = posts[currentIndex + 1];
+  return {
+    PREVIOUS_POST: prevPost ? getPostSummary(prevPost) : null,
+    NEXT_POST: nextPost ? getPostSummary(nextPost) : null,
+  };
 }
 
-async function build() {
-  console.log("Starting blog build...\n");
+function getPostSeries(post, postsBySeries) {
+  if (!post.series) return null;
+
+  const series = postsBySeries[getTagSlug(post.series.name)];
+  const index = series ? series.posts.indexOf(post) : -1;
+  // Unlisted posts aren't part of the series they name
+  if (index === -1) return null;
+
+  return {
+    name: series.name,
+    url: `/series/${series.slug}/`,
+    part: index + 1,
+    count: series.posts.length,
+    parts: series.posts.map((part, i) => ({
+      ...getPostSummary(part),
+      part: i + 1,
+      current: part === post,
+    })),
+  };
+}
 
-  try {
-    await promises.rm(CONFIG.OUTPUT_DIR, { recursive: true, force: true });
-    console.log(`Cleaned ${CONFIG.OUTPUT_DIR} directory`);
-  } catch (error) {}
+// Within a series, previous and next follow the parts instead of the dates
+function getSeriesNeighbours(series) {
+  const index = series.part - 1;
+  return {
+    PREVIOUS_POST: series.parts[index - 1] || null,
+    NEXT_POST: series.parts[index + 1] || null,
+  };
+}
+
+function getArchiveYears(posts) {
+  const postsByYear = groupPostsByYear(posts);
+  const sortedYears = Object.keys(postsByYear).sort((a, b) => b - a);
+
+  return sortedYears.map((year) => {
+    const months = Object.keys(postsByYear[year]);
+    months.sort((a, b) => {
+      const dateA = new Date(`${a} 1, ${year}`);
+      const dateB = new Date(`${b} 1, ${year}`);
+      return dateB - dateA;
+    });
+
+    return {
+      year,
+      months: months.map((month) => ({
+        month,
+        posts: postsByYear[year][month].map((post) => ({
+          ...getPostSummary(post),
+          day: post.date.getDate().toString().padStart(2, "0"),
+        })),
+      })),
+    };
+  });
+}
+
+function getTagSummaries(postsByTag) {
+  return Object.values(postsByTag)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((tag) => ({
+      name: tag.name,
+      url: `/tags/${tag.slug}/`,
+      count: tag.posts.length,
+    }));
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Post data shared by every feed format. Full HTML is only rendered when
+// `feeds.full_content` is enabled in content.yml.
+async function loadFeedItems(data, posts) {
+  const items = [];
+
+  for (const post of posts.slice(0, CONFIG.FEED_MAX_POSTS)) {
+    const content = await loadContent(post.filepath);
+    const summary = content ? createExcerpt(content, 500) : post.subtitle;
+
+    items.push({
+      title: post.title,
+      url: `${data.url}/${post.path}/`,
+      date: post.date,
+      updated: post.updated || post.date,
+      authors: post.authors.map((author) => ({
+        ...author,
+        url: getAbsoluteUrl(data, author.url),
+        avatar: author.avatar ? getAbsoluteUrl(data, author.avatar) : null,
+      })),
+      summary: summary.replace(/\s+/g, " ").trim(),
+      contentHTML: data.feeds.fullContent
+        ? resolveFeedUrls(renderMarkdown(content).html, data, `/${post.path}/`)
+        : null,
+    });
+  }
+  return items;
+}
+
+// Feed readers show posts away from the site, so relative links and images
+// have to be made absolute against the post's URL
+function resolveFeedUrls(html, data, pagePath) {
+  const resolve = (url) => {
+    try {
+      return getAbsoluteUrl(data, url, pagePath);
+    } catch (error) {
+      return url;
+    }
+  };
+
+  return html.replace(
+    LINK_ATTRIBUTE_REGEX,
+    (match, attribute, quote, value) => {
+      if (!value.trim()) return match;
+      const resolved =
+        attribute.toLowerCase() === "srcset"
+          ? value
+              .split(",")
+              .map((candidate) => {
+                const [url, ...descriptors] = candidate.trim().split(/\s+/);
+                return [resolve(url), ...descriptors].join(" ");
+              })
+              .join(", ")
+          : resolve(value.trim());
+      return `${match[0]}${attribute}=${quote}${resolved}${quote}`;
+    },
+  );
+}
+
+function generateRSSFeed(data, feed, items) {
+  console.log("Generating RSS feed...");
+
+  let rssItems = "";
+
+  for (const item of items) {
+    const content = item.contentHTML
+      ? `
+      <content:encoded>${escapeXML(item.contentHTML)}</content:encoded>`
+      : "";
+
+    // RSS allows one <author>, which must be an email address; dc:creator
+    // takes a plain name and lists everyone
+    const emailAuthor = item.authors.find((author) => author.email);
+    const authors = emailAuthor
+      ? `
+      <author>${escapeXML(emailAuthor.email)} (${escapeXML(emailAuthor.name)})</author>`
+      : "";
+    const creators = item.authors
+      .map(
+        (author) => `
+      <dc:creator>${escapeXML(author.name)}</dc:creator>`,
+      )
+      .join("");
+
+    rssItems += `
+    <item>
+      <title>${escapeXML(item.title)}</title>
+      <description>${escapeXML(item.summary)}</description>${content}
+      <link>${item.url}</link>
+      <guid>${item.url}</guid>
+      <pubDate>${formatRSSDate(item.date)}</pubDate>${authors}${creators}
+      <atom:updated>${item.updated.toISOString()}</atom:updated>
+    </item>`;
+  }
+
+  const lastBuildDate = formatRSSDate(new Date());
+  const mostRecentPostDate =
+    items.length > 0 ? formatRSSDate(items[0].date) : lastBuildDate;
+  const [editor] = data.authors;
+  const managingEditor = editor.email
+    ? `
+      <managingEditor>${escapeXML(editor.email)} (${escapeXML(editor.name)})</managingEditor>`
+    : "";
+
+  const rssXml = `<?xml version="1.0" encoding="UTF-8"?>
+  <rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+      <title>${escapeXML(feed.title)}</title>
+      <description>${escapeXML(feed.description)}</description>
+      <link>${feed.link}</link>
+      <image>
+        <url>${data.url}/assets/icons/rss-144x144.png</url>
+        <title>${escapeXML(feed.title)}</title>
+        <link>${feed.link}</link>
+      </image>
+      <atom:link href="${data.url}${feed.paths.rss}" rel="self" type="application/rss+xml"/>
+      <language>en-us</language>${managingEditor}
+      <lastBuildDate>${lastBuildDate}</lastBuildDate>
+      <pubDate>${mostRecentPostDate}</pubDate>
+      <ttl>60</ttl>${rssItems}
+    </channel>
+  </rss>`;
+
+  return rssXml;
+}
+
+function generateAtomFeed(data, feed, items) {
+  console.log("Generating Atom feed...");
+
+  let atomEntries = "";
+
+  for (const item of items) {
+    const content = item.contentHTML
+      ? `
+    <content type="html">${escapeXML(item.contentHTML)}</content>`
+      : "";
+
+    const authors = item.authors
+      .map((author) => {
+        const email = author.email
+          ? `
+      <email>${escapeXML(author.email)}</email>`
+          : "";
+        return `
+    <author>
+      <name>${escapeXML(author.name)}</name>${email}
+      <uri>${author.url}</uri>
+    </author>`;
+      })
+      .join("");
+
+    atomEntries += `
+  <entry>
+    <title>${escapeXML(item.title)}</title>
+    <link href="${item.url}" rel="alternate" type="text/html"/>
+    <id>${item.url}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>${authors}
+    <summary>${escapeXML(item.summary)}</summary>${content}
+  </entry>`;
+  }
+
+  const updated = (
+    items.length > 0
+      ? new Date(Math.max(...items.map((item) => item.updated)))
+      : new Date()
+  ).toISOString();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-us">
+  <title>${escapeXML(feed.title)}</title>
+  <subtitle>${escapeXML(feed.description)}</subtitle>
+  <link href="${data.url}${feed.paths.atom}" rel="self" type="application/atom+xml"/>
+  <link href="${feed.link}" rel="alternate" type="text/html"/>
+  <id>${feed.link}</id>
+  <icon>${data.url}/assets/icons/rss-144x144.png</icon>
+  <author>
+    <name>${escapeXML(data.author)}</name>
+  </author>
+  <updated>${updated}</updated>${atomEntries}
+</feed>`;
+}
+
+function generateJSONFeed(data, feed, items) {
+  console.log("Generating JSON feed...");
+
+  const jsonFeed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.link,
+    feed_url: `${data.url}${feed.paths.json}`,
+    icon: `${data.url}/assets/icons/rss-144x144.png`,
+    favicon: `${data.url}/assets/icons/favicon-32x32.png`,
+    authors: [{ name: data.author }],
+    language: "en-US",
+    items: items.map((item) => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      ...(item.contentHTML
+        ? { content_html: item.contentHTML }
+        : { content_text: item.summary }),
+      date_published: item.date.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: item.authors.map((author) => ({
+        name: author.name,
+        url: author.url,
+        ...(author.avatar ? { avatar: author.avatar } : {}),
+      })),
+    })),
+  };
+
+  return JSON.stringify(jsonFeed, null, 2);
+}
+
+const FEED_GENERATORS = {
+  rss: generateRSSFeed,
+  atom: generateAtomFeed,
+  json: generateJSONFeed,
+};
+
+async function ensureDir(dirPath) {
+  try {
+    await promises.mkdir(dirPath, { recursive: true });
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      throw error;
+    }
+  }
+}
+
+function hashContent(...parts) {
+  const hash = createHash("sha256");
+  parts.forEach((part) => {
+    hash.update(
+      typeof part === "string" || Buffer.isBuffer(part)
+        ? part
+        : JSON.stringify(part),
+    );
+  });
+  return hash.digest("hex").slice(0, 16);
+}
+
+async function fileExists(filepath) {
+  try {
+    await promises.access(filepath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The cache maps every output file to a hash of the inputs it was built from.
+// It is discarded (and dist/ cleaned) on --force, or whenever build.js itself
+// changes, since that can change any output.
+async function loadBuildCache(options) {
+  const generatorHash = hashContent(await promises.readFile(__filename));
+  const cache = {
+    generatorHash,
+    previous: {},
+    outputs: {},
+    pages: [],
+    // Original URL path → fingerprinted URL path, filled in as assets are copied
+    fingerprints: {},
+    stats: { written: 0, skipped: 0 },
+  };
+
+  if (!options.force) {
+    try {
+      const saved = JSON.parse(
+        await promises.readFile(CONFIG.CACHE_FILE, "utf8"),
+      );
+      if (saved.generatorHash === generatorHash) {
+        cache.previous = saved.outputs;
+        console.log(`Loaded build cache from ${CONFIG.CACHE_FILE}`);
+        return cache;
+      }
+    } catch (error) {}
+  }
+
+  await promises.rm(CONFIG.OUTPUT_DIR, { recursive: true, force: true });
+  console.log(`Cleaned ${CONFIG.OUTPUT_DIR} directory`);
+  return cache;
+}
+
+async function saveBuildCache(cache) {
+  await ensureDir(path.dirname(CONFIG.CACHE_FILE));
+  await promises.writeFile(
+    CONFIG.CACHE_FILE,
+    JSON.stringify({
+      generatorHash: cache.generatorHash,
+      outputs: cache.outputs,
+    }),
+  );
+}
+
+// Write an output file unless it was last built from the same inputs. The
+// render callback is only invoked when the file is stale.
+async function writeOutput(cache, outputPath, key, render) {
+  cache.outputs[outputPath] = key;
+
+  if (cache.previous[outputPath] === key && (await fileExists(outputPath))) {
+    cache.stats.skipped++;
+    return false;
+  }
+
+  await ensureDir(path.dirname(outputPath));
+  await promises.writeFile(outputPath, await render());
+  cache.stats.written++;
+  console.log(`Built ${path.relative(CONFIG.OUTPUT_DIR, outputPath)}`);
+  return true;
+}
+
+// Remove files produced by a previous build that this build no longer produces
+async function pruneStaleOutputs(cache) {
+  for (const outputPath of Object.keys(cache.previous)) {
+    if (cache.outputs[outputPath]) continue;
+
+    await promises.rm(outputPath, { force: true });
+    console.log(`Removed ${path.relative(CONFIG.OUTPUT_DIR, outputPath)}`);
+
+    // Remove directories left empty, stopping at the first non-empty one
+    let dir = path.dirname(outputPath);
+    while (dir !== CONFIG.OUTPUT_DIR && dir.startsWith(CONFIG.OUTPUT_DIR)) {
+      try {
+        await promises.rmdir(dir);
+      } catch (error) {
+        break;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+}
+
+// --- Responsive images ---
+
+const IMAGE_TAG_REGEX = /<img\b([^>]*?)\s*\/?>/g;
+const IMAGE_SRC_REGEX = /\bsrc=(["'])(.*?)\1/;
+const MARKDOWN_IMAGE_REGEX = /!\[[^\]]*\]\(\s*<?([^\s)>]+)/g;
+const RESIZABLE_IMAGE_FORMATS = {
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+  ".png": "png",
+  ".webp": "webp",
+};
+
+// Every local image referenced from Markdown or inline HTML in `content`
+function findImageSources(content) {
+  const sources = new Set();
+  for (const match of content.matchAll(IMAGE_TAG_REGEX)) {
+    const srcMatch = match[1].match(IMAGE_SRC_REGEX);
+    if (srcMatch) sources.add(srcMatch[2]);
+  }
+  for (const match of content.matchAll(MARKDOWN_IMAGE_REGEX)) {
+    sources.add(match[1]);
+  }
+  return [...sources];
+}
+
+// Map an image src on the page at `pagePath` to its file under src/assets
+function resolveImageFile(src, pagePath) {
+  if (/^([a-z]+:)?\/\//i.test(src) || src.startsWith("data:")) return null;
+
+  const { pathname } = new URL(src, `http://localhost${pagePath}`);
+  if (!pathname.startsWith("/assets/")) return null;
+  return { filepath: `src${decodeURIComponent(pathname)}`, url: pathname };
+}
+
+function encodeImage(image, format) {
+  if (format === "webp") return image.webp({ quality: CONFIG.IMAGE_QUALITY });
+  if (format === "png") return image.png();
+  return image.jpeg({ quality: CONFIG.IMAGE_QUALITY, mozjpeg: true });
+}
+
+// Write resized WebP and original-format variants of one image, returning
+// what's needed to build its srcset. Variants are never wider than the source.
+async function buildImageVariants(cache, filepath, url) {
+  const format = RESIZABLE_IMAGE_FORMATS[path.extname(filepath).toLowerCase()];
+  if (!format) return null;
+
+  const source = await promises.readFile(filepath);
+  const metadata = await sharp(source).metadata();
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const rotated = (metadata.orientation || 1) >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const widths = CONFIG.IMAGE_WIDTHS.filter((w) => w < width);
+  if (width <= Math.max(...CONFIG.IMAGE_WIDTHS)) widths.push(width);
+  const sourceHash = hashContent(source);
+  const baseUrl = url.replace(/\.[^.]+$/, "");
+  const variants = { webp: [], [format]: [] };
+
+  for (const targetFormat of Object.keys(variants)) {
+    const ext = targetFormat === "jpeg" ? "jpg" : targetFormat;
+
+    for (const variantWidth of widths) {
+      const variantUrl = `${baseUrl}-${variantWidth}w.${ext}`;
+      const key = hashContent(sourceHash, targetFormat, variantWidth);
+
+      await writeOutput(cache, `${CONFIG.OUTPUT_DIR}${variantUrl}`, key, () =>
+        encodeImage(
+          sharp(source).rotate().resize({ width: variantWidth }),
+          targetFormat,
+        ).toBuffer(),
+      );
+      variants[targetFormat].push({ url: variantUrl, width: variantWidth });
+    }
+  }
+
+  return { width, height, format, variants };
+}
+
+// Build variants for every image in `content`, keyed by the src as written
+async function buildResponsiveImages(cache, content, pagePath) {
+  const images = {};
+
+  for (const src of findImageSources(content)) {
+    const resolved = resolveImageFile(src, pagePath);
+    if (!resolved) continue;
+
+    if (!(await fileExists(resolved.filepath))) {
+      console.warn(`Image not found: ${src} (on ${pagePath})`);
+      continue;
+    }
+
+    const image = await buildImageVariants(
+      cache,
+      resolved.filepath,
+      resolved.url,
+    );
+    if (image) images[src] = image;
+  }
+  return images;
+}
+
+function getSrcset(variants) {
+  return variants
+    .map((variant) => `${variant.url} ${variant.width}w`)
+    .join(", ");
+}
+
+// Swap each <img> with a prepared image for a <picture> offering WebP and the
+// original format at several widths, with dimensions set to avoid layout shift
+function rewriteImages(html, images) {
+  return html.replace(IMAGE_TAG_REGEX, (tag, attributes) => {
+    const srcMatch = attributes.match(IMAGE_SRC_REGEX);
+    const image = srcMatch && images[srcMatch[2]];
+    if (!image) return tag;
+
+    const otherAttributes = attributes
+      .replace(/\s*\b(src|srcset|sizes|width|height|loading)=(["']).*?\2/g, "")
+      .trim();
+    const fallbackVariants = image.variants[image.format];
+    const fallback = fallbackVariants[fallbackVariants.length - 1];
+    const fallbackHeight = Math.round(
+      (image.height * fallback.width) / image.width,
+    );
+
+    return `<picture>
+  <source type="image/webp" srcset="${getSrcset(image.variants.webp)}" sizes="${CONFIG.IMAGE_SIZES}" />
+  <img src="${fallback.url}" srcset="${getSrcset(fallbackVariants)}" sizes="${CONFIG.IMAGE_SIZES}" width="${fallback.width}" height="${fallbackHeight}" loading="lazy" decoding="async" ${otherAttributes} />
+</picture>`;
+  });
+}
+
+// Render a page unless it was last built from the same templates and context.
+// `lazy.load` supplies context that is costly to compute (e.g. rendered
+// Markdown) and is only called when the page is stale; `lazy.key` must
+// capture its inputs.
+async function writePage(cache, templates, name, outputPath, context, lazy) {
+  if (context.ROBOTS !== "noindex") {
+    cache.pages.push({ url: context.CANONICAL_URL, lastmod: context.LASTMOD });
+  }
+
+  const dependencies = [...getTemplateDependencies(templates, name)].sort();
+  const key = hashContent(
+    dependencies.map((dependency) => templates[dependency]),
+    context,
+    lazy ? lazy.key : "",
+    cache.fingerprints,
+  );
+  const pageUrl = `/${path.relative(CONFIG.OUTPUT_DIR, outputPath).split(path.sep).join("/")}`;
+
+  await writeOutput(cache, outputPath, key, async () => {
+    const lazyContext = lazy ? await lazy.load() : {};
+    const html = renderTemplate(templates, name, {
+      ...context,
+      ...lazyContext,
+    });
+    return minifyHTML(
+      rewriteAssetReferences(html, pageUrl, cache.fingerprints),
+      HTML_MINIFY_OPTIONS,
+    );
+  });
+}
+
+function getHomePagePath(pageNumber) {
+  return pageNumber === 1 ? "/" : `/page/${pageNumber}/`;
+}
+
+async function buildHomePage(templates, data, cache) {
+  console.log("Building home pages...");
+
+  const pages = paginate(data.posts, CONFIG.HOME_POSTS_COUNT);
+
+  for (let i = 0; i < pages.length; i++) {
+    const pageNumber = i + 1;
+    const pagePath = getHomePagePath(pageNumber);
+    const posts = [];
+
+    for (const post of pages[i]) {
+      const postContent = await loadContent(post.filepath);
+      posts.push({
+        ...getPostSummary(post),
+        excerpt: createExcerpt(postContent),
+      });
+    }
+
+    await writePage(
+      cache,
+      templates,
+      "index",
+      `${CONFIG.OUTPUT_DIR}${pagePath}index.html`,
+      createPageContext(
+        data,
+        "home",
+        {
+          POSTS: posts,
+          PAGINATION: getPagination(
+            pageNumber > 1 && {
+              url: getHomePagePath(pageNumber - 1),
+              label: "Newer posts",
+            },
+            pageNumber < pages.length && {
+              url: getHomePagePath(pageNumber + 1),
+              label: "Older posts",
+            },
+          ),
+        },
+        {
+          path: pagePath,
+          title: pageNumber > 1 ? `Page ${pageNumber}` : null,
+          lastmod: getNewestPostDate(pages[i]),
+        },
+      ),
+    );
+  }
+}
+
+async function buildPostPages(templates, data, cache) {
+  console.log("Building post pages...");
+
+  const allPosts = [...data.posts, ...data.unlistedPosts];
+  const postsBySeries = groupPostsBySeries(data.posts);
+  const relatedPosts = await findRelatedPosts(allPosts, data.posts);
+
+  for (const post of allPosts) {
+    const content = await loadContent(post.filepath);
+    const series = getPostSeries(post, postsBySeries);
+    const images = await buildResponsiveImages(
+      cache,
+      content,
+      `/${post.path}/`,
+    );
+    const description =
+      post.subtitle || createExcerpt(content, CONFIG.META_DESCRIPTION_LENGTH);
+    const context = createPageContext(
+      data,
+      null,
+      {
+        POST_DATE: formatDate(post.date),
+        POST_UPDATED: post.updated ? formatDate(post.updated) : null,
+        POST_READING_TIME: post.readingTime,
+        POST_WORD_COUNT: post.wordCount,
+        POST_TITLE: post.title,
+        POST_SUBTITLE: post.subtitle,
+        POST_TAGS: getPostTags(post),
+        POST_AUTHORS: post.authors,
+        SERIES: series,
+        RELATED_POSTS: relatedPosts.get(post.path).map(getPostSummary),
+        ...(series
+          ? getSeriesNeighbours(series)
+          : getPostNeighbours(post, data.posts)),
+      },
+      {
+        path: `/${post.path}/`,
+        title: post.title,
+        description,
+        image: post.image,
+        type: "article",
+        noindex: post.unlisted,
+        lastmod: post.updated || post.date,
+        jsonLD: getBlogPostingJSONLD(data, post, description, post.image),
+      },
+    );
+
+    await writePage(
+      cache,
+      templates,
+      "post",
+      `${CONFIG.OUTPUT_DIR}/${post.path}/index.html`,
+      context,
+      {
+        key: [post.contentHash, images],
+        load: () => {
+          const { html, headings } = renderMarkdown(content);
+          // Front matter `toc: true/false` overrides the length-based default
+          const showTOC =
+            post.toc ?? headings.length >= CONFIG.TOC_MIN_HEADINGS;
+          return {
+            POST_CONTENT: rewriteImages(html, images),
+            POST_TOC: showTOC ? headings : [],
+          };
+        },
+      },
+    );
+  }
+}
+
+async function buildPages(templates, data, cache) {
+  console.log("Building pages...");
+
+  for (const page of data.pages) {
+    const content = await loadContent(page.filepath);
+    const images = await buildResponsiveImages(cache, content, page.path);
+    // Commit dates, since a fresh checkout gives every file a new mtime
+    const [lastCommitDate = null] = await getGitCommitDates(page.filepath);
+
+    await writePage(
+      cache,
+      templates,
+      page.template,
+      `${CONFIG.OUTPUT_DIR}${page.path}index.html`,
+      createPageContext(
+        data,
+        page.slug,
+        { PAGE_TITLE: page.title },
+        {
+          path: page.path,
+          title: page.title,
+          description: createExcerpt(content, CONFIG.META_DESCRIPTION_LENGTH),
+          lastmod: lastCommitDate,
+        },
+      ),
+      {
+        key: [content, images],
+        load: () => ({
+          CONTENT: rewriteImages(renderMarkdown(content).html, images),
+        }),
+      },
+    );
+  }
+}
+
+async function buildArchivePage(templates, data, cache) {
+  console.log("Building archive page...");
+
+  const archiveYears = getArchiveYears(data.posts);
+
+  if (!data.archive.splitByYear) {
+    await writePage(
+      cache,
+      templates,
+      "archive",
+      `${CONFIG.OUTPUT_DIR}/archive/index.html`,
+      createPageContext(
+        data,
+        "archive",
+        { ARCHIVE_YEARS: archiveYears },
+        {
+          path: "/archive/",
+          title: "Archive",
+          lastmod: getNewestPostDate(data.posts),
+        },
+      ),
+    );
+    return;
+  }
+
+  // One page per year, plus an index of years at /archive/
+  const postsByYear = groupPostsByYear(data.posts);
+  const years = archiveYears.map((archiveYear) => {
+    const posts = Object.values(postsByYear[archiveYear.year]).flat();
+    return {
+      year: archiveYear.year,
+      url: `/archive/${archiveYear.year}/`,
+      count: posts.length,
+      lastmod: getNewestPostDate(posts),
+    };
+  });
+
+  await writePage(
+    cache,
+    templates,
+    "archive-index",
+    `${CONFIG.OUTPUT_DIR}/archive/index.html`,
+    createPageContext(
+      data,
+      "archive",
+      { ARCHIVE_INDEX: years },
+      {
+        path: "/archive/",
+        title: "Archive",
+        lastmod: getNewestPostDate(data.posts),
+      },
+    ),
+  );
+
+  for (let i = 0; i < years.length; i++) {
+    const newer = years[i - 1];
+    const older = years[i + 1];
+
+    await writePage(
+      cache,
+      templates,
+      "archive",
+      `${CONFIG.OUTPUT_DIR}${years[i].url}index.html`,
+      createPageContext(
+        data,
+        "archive",
+        {
+          ARCHIVE_YEARS: [archiveYears[i]],
+          PAGINATION: getPagination(
+            newer && { url: newer.url, label: newer.year },
+            older && { url: older.url, label: older.year },
+          ),
+        },
+        {
+          path: years[i].url,
+          title: `Archive ${years[i].year}`,
+          lastmod: years[i].lastmod,
+        },
+      ),
+    );
+  }
+}
+
+async function buildTagPages(templates, data, cache) {
+  console.log("Building tag pages...");
+
+  const postsByTag = groupPostsByTag(data.posts);
+
+  await writePage(
+    cache,
+    templates,
+    "tags",
+    `${CONFIG.OUTPUT_DIR}/tags/index.html`,
+    createPageContext(
+      data,
+      null,
+      { TAGS: getTagSummaries(postsByTag) },
+      {
+        path: "/tags/",
+        title: "Tags",
+        lastmod: getNewestPostDate(data.posts),
+      },
+    ),
+  );
+
+  for (const tag of Object.values(postsByTag)) {
+    await writePage(
+      cache,
+      templates,
+      "tag",
+      `${CONFIG.OUTPUT_DIR}/tags/${tag.slug}/index.html`,
+      createPageContext(
+        data,
+        null,
+        {
+          TAG_NAME: tag.name,
+          TAG_RSS_URL: `/tags/${tag.slug}/feed.xml`,
+          ARCHIVE_YEARS: getArchiveYears(tag.posts),
+        },
+        {
+          path: `/tags/${tag.slug}/`,
+          title: `Tagged "${tag.name}"`,
+          description: `Posts tagged "${tag.name}" on ${data.title}`,
+          lastmod: getNewestPostDate(tag.posts),
+        },
+      ),
+    );
+  }
+}
+
+async function buildSeriesPages(templates, data, cache) {
+  console.log("Building series pages...");
+
+  for (const series of Object.values(groupPostsBySeries(data.posts))) {
+    const parts = series.posts.map((post, i) => ({
+      ...getPostSummary(post),
+      part: i + 1,
+    }));
+
+    await writePage(
+      cache,
+      templates,
+      "series",
+      `${CONFIG.OUTPUT_DIR}/series/${series.slug}/index.html`,
+      createPageContext(
+        data,
+        null,
+        { SERIES_NAME: series.name, SERIES_PARTS: parts },
+        {
+          path: `/series/${series.slug}/`,
+          title: series.name,
+          description: `A ${parts.length}-part series on ${data.title}`,
+          lastmod: new Date(Math.max(...series.posts.map((p) => p.date))),
+        },
+      ),
+    );
+  }
+}
+
+async function buildAuthorPages(templates, data, cache) {
+  console.log("Building author pages...");
+
+  for (const author of data.authors) {
+    const posts = data.posts.filter((post) => post.authors.includes(author));
+
+    await writePage(
+      cache,
+      templates,
+      "author",
+      `${CONFIG.OUTPUT_DIR}${author.url}index.html`,
+      createPageContext(
+        data,
+        null,
+        {
+          AUTHOR_NAME: author.name,
+          AUTHOR_BIO: author.bio,
+          AUTHOR_AVATAR: author.avatar,
+          ARCHIVE_YEARS: getArchiveYears(posts),
+        },
+        {
+          path: author.url,
+          title: author.name,
+          description: author.bio || `Posts by ${author.name} on ${data.title}`,
+          image: author.avatar,
+          type: "profile",
+          lastmod: getNewestPostDate(posts),
+        },
+      ),
+    );
+  }
+}
+
+async function buildFeeds(data, cache) {
+  console.log("Building feeds...");
+
+  const site = {
+    title: data.title,
+    author: data.author,
+    description: data.description,
+    url: data.url,
+    feeds: data.feeds,
+  };
+
+  const feeds = [
+    {
+      posts: data.posts,
+      title: data.title,
+      description: data.description,
+      link: data.url,
+      paths: FEED_PATHS,
+    },
+    ...Object.values(groupPostsByTag(data.posts)).map((tag) => ({
+      posts: tag.posts,
+      title: `${data.title} - ${tag.name}`,
+      description: `Posts tagged "${tag.name}" on ${data.title}`,
+      link: `${data.url}/tags/${tag.slug}/`,
+      paths: { rss: `/tags/${tag.slug}/feed.xml` },
+    })),
+  ];
+
+  for (const feed of feeds) {
+    const posts = feed.posts.slice(0, CONFIG.FEED_MAX_POSTS);
+    const key = hashContent(site, { ...feed, posts });
+    let items = null;
+
+    for (const [format, feedPath] of Object.entries(feed.paths)) {
+      await writeOutput(
+        cache,
+        `${CONFIG.OUTPUT_DIR}${feedPath}`,
+        key,
+        async () => {
+          items = items || (await loadFeedItems(data, posts));
+          return FEED_GENERATORS[format](data, feed, items);
+        },
+      );
+    }
+  }
+}
+
+async function buildSearchPage(templates, data, cache) {
+  console.log("Building search page...");
+
+  const searchIndex = [];
+  for (const post of data.posts) {
+    const content = await loadContent(post.filepath);
+    searchIndex.push({
+      title: post.title,
+      subtitle: post.subtitle,
+      tags: post.tags,
+      url: `/${post.path}/`,
+      date: formatDate(post.date),
+      body: stripMarkdown(content),
+    });
+  }
+  const searchIndexJson = JSON.stringify(searchIndex);
+
+  await writeOutput(
+    cache,
+    `${CONFIG.OUTPUT_DIR}${CONFIG.SEARCH_INDEX_PATH}`,
+    hashContent(searchIndexJson),
+    () => searchIndexJson,
+  );
+
+  await writePage(
+    cache,
+    templates,
+    "search",
+    `${CONFIG.OUTPUT_DIR}/search/index.html`,
+    createPageContext(
+      data,
+      "search",
+      { SEARCH_INDEX_URL: CONFIG.SEARCH_INDEX_PATH },
+      { path: "/search/", title: "Search" },
+    ),
+  );
+}
+
+async function buildSitemap(data, cache) {
+  console.log("Building sitemap...");
+
+  const urls = cache.pages
+    .map((page) => {
+      const lastmod = page.lastmod
+        ? `
+    <lastmod>${page.lastmod.slice(0, 10)}</lastmod>`
+        : "";
+      return `
+  <url>
+    <loc>${escapeXML(page.url)}</loc>${lastmod}
+  </url>`;
+    })
+    .join("");
+
+  const sitemapXml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>`;
+
+  await writeOutput(
+    cache,
+    `${CONFIG.OUTPUT_DIR}/sitemap.xml`,
+    hashContent(sitemapXml),
+    () => sitemapXml,
+  );
+}
+
+// The crawler rules in src/robots.txt, pointed at the sitemap on this site
+async function buildRobotsTxt(data, cache) {
+  const rules = await promises.readFile("src/robots.txt", "utf8");
+  const robotsTxt = `${rules.trimEnd()}
+
+Sitemap: ${getAbsoluteUrl(data, "/sitemap.xml")}
+`;
+
+  await writeOutput(
+    cache,
+    `${CONFIG.OUTPUT_DIR}/robots.txt`,
+    hashContent(robotsTxt),
+    () => robotsTxt,
+  );
+}
+
+async function copyFile(cache, src, dest) {
+  const contents = await promises.readFile(src);
+  await writeOutput(cache, dest, hashContent(contents), () => contents);
+}
+
+// --- Assets ---
+//
+// Fingerprinted files get a content hash in their name (style.css →
+// style.3f9a1c.css) so browsers and CDNs can cache them indefinitely. Every
+// page is rewritten to reference the fingerprinted names, and CSS, JS and
+// HTML are minified on the way out.
+
+// href/src attributes in HTML and url() in CSS
+const ASSET_REFERENCE_REGEX =
+  /(\b(?:href|src)=["']|\burl\(\s*["']?)([^"'()\s]+)/g;
+
+// `/app/style.css` → `/app/style.3f9a1c.css`
+function getFingerprintedUrl(url, contents) {
+  const ext = path.posix.extname(url);
+  return `${url.slice(0, -ext.length || undefined)}.${hashContent(contents).slice(0, 6)}${ext}`;
+}
+
+// Point references to any file in `fingerprints` (URL path → fingerprinted
+// URL path) at its fingerprinted name, resolving relative references
+// against `baseUrl`, the URL of the file being rewritten
+function rewriteAssetReferences(text, baseUrl, fingerprints) {
+  return text.replace(ASSET_REFERENCE_REGEX, (match, prefix, reference) => {
+    if (/^([a-z]+:)?\/\//i.test(reference) || reference.startsWith("#")) {
+      return match;
+    }
+    const url = new URL(reference, `http://localhost${baseUrl}`);
+    const fingerprinted = fingerprints[url.pathname];
+    return fingerprinted
+      ? `${prefix}${fingerprinted}${url.search}${url.hash}`
+      : match;
+  });
+}
+
+const HTML_MINIFY_OPTIONS = {
+  collapseWhitespace: true,
+  // Keep a space where there was whitespace so inline text doesn't run together
+  conservativeCollapse: true,
+  removeComments: true,
+};
+
+async function minifyAsset(contents, ext) {
+  if (ext === ".html") {
+    return minifyHTML(contents.toString("utf8"), HTML_MINIFY_OPTIONS);
+  }
+  if (ext === ".css" || ext === ".js") {
+    const { code } = await esbuild.transform(contents, {
+      loader: ext.slice(1),
+      minify: true,
+    });
+    return code;
+  }
+  return contents;
+}
+
+// Copy `sourceDir` to `baseUrl`, fingerprinting files whose extension is in
+// `fingerprintExtensions`. Stylesheets and then HTML are copied after
+// everything else so their references can be rewritten to fingerprinted
+// names.
+async function copyAssets(cache, sourceDir, baseUrl, fingerprintExtensions) {
+  const fileOrder = (file) =>
+    ({ ".css": 1, ".html": 2 })[path.extname(file)] || 0;
+  const files = (await listFiles(sourceDir)).sort(
+    (a, b) => fileOrder(a) - fileOrder(b),
+  );
+
+  for (const file of files) {
+    const relativePath = path.relative(sourceDir, file).split(path.sep);
+    const url = `${baseUrl}${relativePath.join("/")}`;
+    const ext = path.extname(file);
+    let contents = await promises.readFile(file);
+
+    if (ext === ".css" || ext === ".html") {
+      contents = rewriteAssetReferences(
+        contents.toString("utf8"),
+        url,
+        cache.fingerprints,
+      );
+    }
+    // Hashing the source rather than the minified output means unchanged
+    // files needn't be minified just to learn their name
+    if (fingerprintExtensions.includes(ext)) {
+      cache.fingerprints[url] = getFingerprintedUrl(url, contents);
+    }
+
+    await writeOutput(
+      cache,
+      `${CONFIG.OUTPUT_DIR}${cache.fingerprints[url] || url}`,
+      hashContent(contents),
+      () => minifyAsset(contents, ext),
+    );
+  }
+}
+
+async function buildSiteAssets(cache) {
+  console.log("Copying assets...");
+  await copyAssets(cache, "src/assets", "/assets/", [".css", ".js"]);
+}
+
+// Original → fingerprinted URL for every fingerprinted file, for debugging
+async function buildAssetManifest(cache) {
+  const manifest = Object.fromEntries(
+    Object.entries(cache.fingerprints).sort(([a], [b]) => a.localeCompare(b)),
+  );
+  const manifestJson = JSON.stringify(manifest, null, 2);
+
+  await writeOutput(
+    cache,
+    `${CONFIG.OUTPUT_DIR}${CONFIG.ASSET_MANIFEST_PATH}`,
+    hashContent(manifestJson),
+    () => manifestJson,
+  );
+}
+
+// --- Apps ---
+//
+// Apps are self-contained static tools (HTML, CSS, JS and friends) declared
+// under `apps` in content.yml and copied as-is apart from fingerprinting and
+// minification.
+
+function loadApps(entries = []) {
+  const urls = new Set();
+
+  return entries.map((entry) => {
+    if (!entry.source || !entry.title) {
+      throw new Error(
+        `App "${entry.url}" in content.yml needs a source and title`,
+      );
+    }
+    const url = String(entry.url || "");
+    if (!/^\/([a-z0-9-]+\/)+$/.test(url)) {
+      throw new Error(`Invalid url "${url}" for app in content.yml`);
+    }
+    if (RESERVED_PAGE_SLUGS.includes(url.split("/")[1])) {
+      throw new Error(`App url "${url}" clashes with a built-in section`);
+    }
+    if (urls.has(url)) {
+      throw new Error(`Duplicate app url "${url}" in content.yml`);
+    }
+    urls.add(url);
+
+    return {
+      source: path.normalize(entry.source),
+      url,
+      title: entry.title,
+      description: entry.description || "",
+      nav: entry.nav || null,
+      order: entry.order ?? 0,
+    };
+  });
+}
+
+// Copy an app to its URL. Every file but the HTML pages is fingerprinted.
+async function buildApp(cache, data, app) {
+  const extensions = new Set(
+    (await listFiles(app.source)).map((file) => path.extname(file)),
+  );
+  extensions.delete(".html");
+  await copyAssets(cache, app.source, app.url, [...extensions]);
+
+  const [lastCommitDate] = await getGitCommitDates(app.source);
+  cache.pages.push({
+    url: getAbsoluteUrl(data, app.url),
+    lastmod: lastCommitDate?.toISOString(),
+  });
+}
+
+async function buildApps(templates, data, cache) {
+  if (data.apps.length === 0) return;
+  console.log("Building apps...");
+
+  for (const app of data.apps) {
+    await buildApp(cache, data, app);
+  }
+
+  await writePage(
+    cache,
+    templates,
+    "tools",
+    `${CONFIG.OUTPUT_DIR}/tools/index.html`,
+    createPageContext(
+      data,
+      "tools",
+      { APPS: data.apps },
+      {
+        path: "/tools/",
+        title: "Tools",
+        description: `Tools and small apps on ${data.title}`,
+      },
+    ),
+  );
+}
+
+// --- Link checking ---
+
+const LINK_ATTRIBUTE_REGEX = /\s(href|src|srcset|poster)=(["'])(.*?)\2/gi;
+const ID_ATTRIBUTE_REGEX = /\sid=(["'])(.*?)\1/gi;
+// `name` only targets a fragment on <a>; elsewhere it's a meta or form field
+const ANCHOR_NAME_REGEX = /<a\b[^>]*?\sname=(["'])(.*?)\1/gi;
+const IGNORED_LINK_REGEX = /^(mailto|tel|javascript|data):/i;
+// Connection hints name an origin, not a page that has to exist
+const RESOURCE_HINT_REGEX =
+  /<link\b[^>]*\brel=(["'])(?:preconnect|dns-prefetch)\1[^>]*>/gi;
+
+async function listFiles(dir) {
+  const entries = await promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listFiles(entryPath)));
+    else files.push(entryPath);
+  }
+  return files;
+}
+
+function decodeHTMLAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#039;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// Every URL referenced from an HTML page, including each candidate in a srcset
+function findLinks(html) {
+  const links = [];
+
+  const content = html.replace(RESOURCE_HINT_REGEX, "");
+
+  for (const [, attribute, , value] of content.matchAll(LINK_ATTRIBUTE_REGEX)) {
+    const decoded = decodeHTMLAttribute(value).trim();
+    if (attribute.toLowerCase() === "srcset") {
+      for (const candidate of decoded.split(",")) {
+        const [url] = candidate.trim().split(/\s+/);
+        if (url) links.push(url);
+      }
+    } else if (decoded) {
+      links.push(decoded);
+    }
+  }
+  return links;
+}
+
+function findAnchors(html) {
+  const anchors = new Set();
+  for (const regex of [ID_ATTRIBUTE_REGEX, ANCHOR_NAME_REGEX]) {
+    for (const [, , value] of html.matchAll(regex)) {
+      anchors.add(decodeHTMLAttribute(value));
+    }
+  }
+  return anchors;
+}
+
+// The file under dist/ that would be served for a decoded URL path, or null
+async function resolveOutputFile(pathname) {
+  const filepath = path.join(CONFIG.OUTPUT_DIR, pathname);
+  const candidates = pathname.endsWith("/")
+    ? [path.join(filepath, "index.html")]
+    : [filepath, path.join(filepath, "index.html")];
+
+  for (const candidate of candidates) {
+    const stats = await promises.stat(candidate).catch(() => null);
+    if (stats?.isFile()) return candidate;
+  }
+  return null;
+}
+
+async function loadExternalLinkCache() {
+  try {
+    return JSON.parse(
+      await promises.readFile(CONFIG.EXTERNAL_LINK_CACHE_FILE, "utf8"),
+    );
+  } catch (error) {
+    return {};
+  }
+}
+
+async function checkExternalLink(url) {
+  const request = (method) =>
+    fetch(url, {
+      method,
+      redirect: "follow",
+      signal: AbortSignal.timeout(CONFIG.EXTERNAL_LINK_TIMEOUT_MS),
+    });
+
+  try {
+    let response = await request("HEAD");
+    // Some servers refuse HEAD but answer GET
+    if (response.status === 405 || response.status === 403) {
+      response = await request("GET");
+    }
+    return response.ok ? null : `HTTP ${response.status}`;
+  } catch (error) {
+    return error.name === "TimeoutError" ? "timed out" : error.message;
+  }
+}
+
+// Check external URLs, reusing successful results younger than the cache
+// lifetime so repeated builds don't hammer other people's servers
+async function checkExternalLinks(urls) {
+  const linkCache = await loadExternalLinkCache();
+  const now = Date.now();
+  const failures = new Map();
+  const pending = [...urls].filter(
+    (url) =>
+      !(now - (linkCache[url] || 0) < CONFIG.EXTERNAL_LINK_CACHE_MAX_AGE_MS),
+  );
+
+  console.log(
+    `Checking ${pending.length} external links (${urls.size - pending.length} cached)...`,
+  );
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      const url = pending.shift();
+      const error = await checkExternalLink(url);
+      if (error) {
+        failures.set(url, error);
+        delete linkCache[url];
+      } else {
+        linkCache[url] = now;
+      }
+    }
+  };
+  await Promise.all(
+    Array.from({ length: CONFIG.EXTERNAL_LINK_CONCURRENCY }, worker),
+  );
+
+  await ensureDir(path.dirname(CONFIG.EXTERNAL_LINK_CACHE_FILE));
+  await promises.writeFile(
+    CONFIG.EXTERNAL_LINK_CACHE_FILE,
+    JSON.stringify(linkCache, null, 2),
+  );
+  return failures;
+}
+
+// Crawl every HTML page in dist/ and check that internal links point at
+// files that exist and, for #fragments, at an element with that id. Links
+// to the site's own absolute URL count as internal. Returns the problems
+// found, one message per broken link.
+async function checkLinks(data, options = {}) {
+  console.log("Checking links...");
+
+  const siteOrigin = new URL(data.url).origin;
+  const pages = (await listFiles(CONFIG.OUTPUT_DIR)).filter(
+    (file) => path.extname(file) === ".html",
+  );
+  const anchorsByFile = new Map();
+  const externalLinks = new Map();
+  const problems = [];
+
+  const getAnchors = async (file) => {
+    if (!anchorsByFile.has(file)) {
+      anchorsByFile.set(
+        file,
+        findAnchors(await promises.readFile(file, "utf8")),
+      );
+    }
+    return anchorsByFile.get(file);
+  };
+
+  for (const page of pages) {
+    const html = await promises.readFile(page, "utf8");
+    const pageUrl = `/${path.relative(CONFIG.OUTPUT_DIR, page).split(path.sep).join("/")}`;
+    const relativePage = path.relative(CONFIG.OUTPUT_DIR, page);
+
+    for (const link of new Set(findLinks(html))) {
+      if (IGNORED_LINK_REGEX.test(link)) continue;
+
+      let url;
+      try {
+        url = new URL(link, `${siteOrigin}${pageUrl}`);
+      } catch (error) {
+        problems.push(`${relativePage}: ${link} (invalid URL)`);
+        continue;
+      }
+
+      if (url.origin !== siteOrigin) {
+        if (/^https?:$/.test(url.protocol)) {
+          const pagesLinking = externalLinks.get(url.href) || [];
+          externalLinks.set(url.href, [...pagesLinking, relativePage]);
+        }
+        continue;
+      }
+
+      let pathname;
+      let fragment;
+      try {
+        pathname = decodeURIComponent(url.pathname);
+        fragment = decodeURIComponent(url.hash.slice(1));
+      } catch (error) {
+        problems.push(`${relativePage}: ${link} (malformed URL encoding)`);
+        continue;
+      }
+
+      const target = await resolveOutputFile(pathname);
+      if (!target) {
+        problems.push(`${relativePage}: ${link} (file not found)`);
+        continue;
+      }
+
+      if (
+        fragment &&
+        path.extname(target) === ".html" &&
+        !(await getAnchors(target)).has(fragment)
+      ) {
+        problems.push(
+          `${relativePage}: ${link} (no element with id "${fragment}")`,
+        );
+      }
+    }
+  }
+
+  if (options.external) {
+    const failures = await checkExternalLinks(new Set(externalLinks.keys()));
+    for (const [url, error] of failures) {
+      const [page, ...otherPages] = externalLinks.get(url);
+      const others =
+        otherPages.length > 0 ? ` and ${otherPages.length} other pages` : "";
+      problems.push(`${page}${others}: ${url} (${error})`);
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error(`Found ${problems.length} broken links:`);
+    for (const problem of problems) console.error(`  ${problem}`);
+  } else {
+    console.log(`Checked ${pages.length} pages, no broken links`);
+  }
+  return problems;
+}
+
+const MIME_TYPES = {
+  ".css": "text/css; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".ico": "image/x-icon",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".webp": "image/webp",
+  ".woff2": "font/woff2",
+  ".xml": "application/xml; charset=utf-8",
+};
+
+const LIVE_RELOAD_PATH = "/__livereload";
+
+// Injected into every HTML page served by the dev server. Reloads on a
+// successful rebuild and shows failed builds as an overlay.
+const LIVE_RELOAD_SCRIPT = `<script>
+(() => {
+  const source = new EventSource("${LIVE_RELOAD_PATH}");
+  source.addEventListener("reload", () => location.reload());
+  source.addEventListener("build-error", (event) => {
+    let overlay = document.getElementById("build-error-overlay");
+    if (!overlay) {
+      overlay = document.createElement("pre");
+      overlay.id = "build-error-overlay";
+      overlay.style.cssText =
+        "position:fixed;inset:0;z-index:99999;margin:0;padding:40px;" +
+        "overflow:auto;white-space:pre-wrap;font:14px/1.5 monospace;" +
+        "background:rgba(30,30,46,0.95);color:#f38ba8;";
+      document.body.appendChild(overlay);
+    }
+    overlay.textContent = "Build failed\\n\\n" + JSON.parse(event.data).message;
+  });
+})();
+</script>`;
+
+async function serveFile(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch (error) {
+    res.writeHead(400, { "Content-Type": "text/plain" }).end("Bad request");
+    return;
+  }
+  const root = path.resolve(CONFIG.OUTPUT_DIR);
+  let filepath = path.join(root, path.normalize(urlPath));
+
+  if (!filepath.startsWith(root)) {
+    res.writeHead(403).end("Forbidden");
+    return;
+  }
+
+  try {
+    if ((await promises.stat(filepath)).isDirectory()) {
+      if (!urlPath.endsWith("/")) {
+        res.writeHead(301, { Location: `${urlPath}/` }).end();
+        return;
+      }
+      filepath = path.join(filepath, "index.html");
+    }
+
+    const ext = path.extname(filepath);
+    let body = await promises.readFile(filepath);
+    if (ext === ".html") {
+      body = body.toString().replace("</body>", `${LIVE_RELOAD_SCRIPT}</body>`);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": MIME_TYPES[ext] || "application/octet-stream",
+      "Cache-Control": "no-store",
+    });
+    res.end(body);
+  } catch (error) {
+    res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+  }
+}
+
+async function serve(options = {}) {
+  const clients = new Set();
+  let buildOptions = options;
+  let lastError = null;
+  let building = false;
+  let pending = false;
+
+  const broadcast = (event, payload = {}) => {
+    const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+    clients.forEach((res) => res.write(message));
+  };
+
+  const rebuild = async () => {
+    if (building) {
+      pending = true;
+      return;
+    }
+
+    building = true;
+    try {
+      await build(buildOptions);
+      lastError = null;
+      broadcast("reload");
+    } catch (error) {
+      lastError = error;
+      console.error("Build failed:", error);
+      broadcast("build-error", { message: error.message });
+    }
+    // Only the first build honours --force
+    buildOptions = { ...buildOptions, force: false };
+    building = false;
+
+    if (pending) {
+      pending = false;
+      await rebuild();
+    }
+  };
+
+  await rebuild();
+
+  const server = http.createServer((req, res) => {
+    if (req.url === LIVE_RELOAD_PATH) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-store",
+        Connection: "keep-alive",
+      });
+      res.write(": connected\n\n");
+      if (lastError) {
+        res.write(
+          `event: build-error\ndata: ${JSON.stringify({ message: lastError.message })}\n\n`,
+        );
+      }
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+      return;
+    }
+
+    serveFile(req, res).catch((error) => {
+      console.error(`Error serving ${req.url}:`, error);
+      if (!res.headersSent) {
+        res.writeHead(500, { "Content-Type": "text/plain" });
+      }
+      res.end("Internal server error");
+    });
+  });
+
+  let timer = null;
+  watch("src", { recursive: true }, (eventType, filename) => {
+    console.log(`\nChanged: src/${filename}`);
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, CONFIG.DEV_REBUILD_DELAY_MS);
+  });
+
+  server.listen(CONFIG.DEV_SERVER_PORT, () => {
+    console.log(
+      `\nServing ${CONFIG.OUTPUT_DIR}/ at http://localhost:${CONFIG.DEV_SERVER_PORT}/ (watching src/)`,
+    );
+  });
+}
+
+function parseBuildOptions(argv) {
+  return {
+    serve: argv.includes("serve"),
+    drafts: argv.includes("--drafts"),
+    force: argv.includes("--force"),
+    // Broken links fail the build in CI even without the flag
+    checkLinks: argv.includes("--check-links") || Boolean(process.env.CI),
+    checkExternalLinks: argv.includes("--check-external-links"),
+  };
+}
+
+async function build(options = {}) {
+  console.log("Starting blog build...\n");
+  if (options.drafts) {
+    console.log("Preview build: including draft and scheduled posts");
+  }
+
+  const cache = await loadBuildCache(options);
 
   // Load templates first
   const templates = await loadTemplates();
-  const data = await loadBlogData();
+  const data = await loadBlogData(options);
+
+  // Assets first, so pages can reference their fingerprinted names
+  await buildSiteAssets(cache);
+  await buildApps(templates, data, cache);
 
   // Build all pages
-  await buildHomePage(templates, data);
-  await buildPostPages(templates, data);
-  await buildAboutPage(templates, data);
-  await buildArchivePage(templates, data);
-  await buildRSSFeed(data);
-  await copyDirectory(
-    "src/workout-timer",
-    `${CONFIG.OUTPUT_DIR}/workout-timer`,
-  );
-  await copyDirectory("src/assets", `${CONFIG.OUTPUT_DIR}/assets`);
-  await promises.copyFile("src/CNAME", `${CONFIG.OUTPUT_DIR}/CNAME`);
-  await promises.copyFile("src/robots.txt", `${CONFIG.OUTPUT_DIR}/robots.txt`);
-  await promises.copyFile(
+  await buildHomePage(templates, data, cache);
+  await buildPostPages(templates, data, cache);
+  await buildPages(templates, data, cache);
+  await buildArchivePage(templates, data, cache);
+  await buildTagPages(templates, data, cache);
+  await buildSeriesPages(templates, data, cache);
+  await buildAuthorPages(templates, data, cache);
+  await buildSearchPage(templates, data, cache);
+  await buildFeeds(data, cache);
+  await buildSitemap(data, cache);
+  await buildAssetManifest(cache);
+  await copyFile(cache, "src/CNAME", `${CONFIG.OUTPUT_DIR}/CNAME`);
+  await buildRobotsTxt(data, cache);
+  await copyFile(
+    cache,
     "src/assets/icons/favicon.ico",
     `${CONFIG.OUTPUT_DIR}/favicon.ico`,
   );
-  await promises.copyFile(
+  await copyFile(
+    cache,
     "src/assets/icons/apple-touch-icon.png",
     `${CONFIG.OUTPUT_DIR}/apple-touch-icon.png`,
   );
 
+  await pruneStaleOutputs(cache);
+  await saveBuildCache(cache);
+
+  if (options.checkLinks || options.checkExternalLinks) {
+    const problems = await checkLinks(data, {
+      external: options.checkExternalLinks,
+    });
+    if (problems.length > 0) {
+      throw new Error(
+        `${problems.length} broken links in ${CONFIG.OUTPUT_DIR}/`,
+      );
+    }
+  }
+
   console.log("Blog build completed successfully!");
   console.log(
-    `Generated ${data.posts.length + 5} pages in ${CONFIG.OUTPUT_DIR}/`,
+    `Wrote ${cache.stats.written} files (${cache.stats.skipped} unchanged) in ${CONFIG.OUTPUT_DIR}/`,
   );
 }
 
 if (process.argv[1] === __filename) {
-  build().catch((error) => {
+  const options = parseBuildOptions(process.argv.slice(2));
+
+  (options.serve ? serve(options) : build(options)).catch((error) => {
     console.error("Build failed:", error);
     process.exit(1);
   });
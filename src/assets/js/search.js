@@ -0,0 +1,252 @@
+// @ts-check
+// Loaded with <script type="module">; the empty export at the bottom tells the
+// type checker this file has its own scope, separate from other scripts.
+
+// --- CONSTANTS ---
+
+const MAX_RESULTS = 20;
+const SNIPPET_RADIUS = 80;
+const SEARCH_DEBOUNCE_MS = 150;
+
+// Score per occurrence of a term in each field. Body matches are capped so
+// a long post can't outrank a title match just by repeating a word.
+const FIELD_WEIGHTS = { title: 10, tags: 8, subtitle: 5, body: 1 };
+const MAX_BODY_MATCHES = 10;
+
+// --- TYPE DEFINITIONS ---
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {string} title
+ * @property {string} subtitle
+ * @property {string[]} tags
+ * @property {string} url
+ * @property {string} date
+ * @property {string} body
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {SearchDocument} doc
+ * @property {number} score
+ */
+
+// --- DOM ELEMENTS ---
+
+const DOM = {
+  form: /** @type {HTMLFormElement} */ (document.getElementById("search-form")),
+  input: /** @type {HTMLInputElement} */ (
+    document.getElementById("search-input")
+  ),
+  status: document.getElementById("search-status"),
+  results: document.getElementById("search-results"),
+};
+
+// --- TEXT HELPERS ---
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Split a query into unique lowercase terms.
+ * @param {string} query
+ * @returns {string[]}
+ */
+const getTerms = (query) => [
+  ...new Set(query.toLowerCase().split(/\s+/).filter(Boolean)),
+];
+
+/**
+ * @param {string} text - lowercase text
+ * @param {string} term - lowercase term
+ * @returns {number}
+ */
+const countOccurrences = (text, term) => {
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+};
+
+/**
+ * Escape text for HTML and wrap every occurrence of a term in <mark>.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {string}
+ */
+const highlight = (text, terms) => {
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  return text
+    .split(pattern)
+    .map((part, i) =>
+      // Odd indices are the captured matches
+      i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part),
+    )
+    .join("");
+};
+
+/**
+ * Take a window of the body around the first matching term.
+ * @param {string} body
+ * @param {string[]} terms
+ * @returns {string}
+ */
+const getSnippet = (body, terms) => {
+  const lowerBody = body.toLowerCase();
+  const positions = terms
+    .map((term) => lowerBody.indexOf(term))
+    .filter((index) => index !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(body.length, first + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < body.length ? "…" : "";
+  return prefix + body.substring(start, end).trim() + suffix;
+};
+
+// --- RANKING ---
+
+/**
+ * Score a document against every term. Returns 0 unless all terms match.
+ * @param {SearchDocument} doc
+ * @param {string[]} terms
+ * @returns {number}
+ */
+const scoreDocument = (doc, terms) => {
+  const fields = {
+    title: doc.title.toLowerCase(),
+    tags: doc.tags.join(" ").toLowerCase(),
+    subtitle: doc.subtitle.toLowerCase(),
+    body: doc.body.toLowerCase(),
+  };
+
+  let score = 0;
+  for (const term of terms) {
+    const termScore =
+      countOccurrences(fields.title, term) * FIELD_WEIGHTS.title +
+      countOccurrences(fields.tags, term) * FIELD_WEIGHTS.tags +
+      countOccurrences(fields.subtitle, term) * FIELD_WEIGHTS.subtitle +
+      Math.min(countOccurrences(fields.body, term), MAX_BODY_MATCHES) *
+        FIELD_WEIGHTS.body;
+
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+  return score;
+};
+
+/**
+ * @param {SearchDocument[]} index
+ * @param {string[]} terms
+ * @returns {SearchResult[]}
+ */
+const search = (index, terms) =>
+  index
+    .map((doc) => ({ doc, score: scoreDocument(doc, terms) }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+
+// --- RENDERING ---
+
+/**
+ * @param {SearchResult} result
+ * @param {string[]} terms
+ * @returns {string}
+ */
+const renderResult = ({ doc }, terms) => `
+  <li class="search-result">
+    <div class="post-date">${escapeHtml(doc.date)}</div>
+    <a href="${escapeHtml(doc.url)}" class="search-result-title">${highlight(doc.title, terms)}</a>
+    <p class="search-result-snippet">${highlight(getSnippet(doc.body, terms), terms)}</p>
+  </li>
+`;
+
+/**
+ * @param {SearchDocument[]} index
+ * @param {string} query
+ */
+const renderResults = (index, query) => {
+  const terms = getTerms(query);
+
+  if (terms.length === 0) {
+    DOM.status.innerText = "";
+    DOM.results.innerHTML = "";
+    return;
+  }
+
+  const results = search(index, terms);
+  DOM.status.innerText =
+    results.length === 0
+      ? `No posts match "${query}"`
+      : `${results.length} ${results.length === 1 ? "post" : "posts"} found`;
+  DOM.results.innerHTML = results
+    .map((result) => renderResult(result, terms))
+    .join("");
+};
+
+// --- INITIALIZATION ---
+
+/** @returns {Promise<SearchDocument[]>} */
+const loadIndex = async () => {
+  const response = await fetch(DOM.form.dataset.index);
+  if (!response.ok) {
+    throw new Error(`Could not load search index (${response.status})`);
+  }
+  return response.json();
+};
+
+const initializeSearch = async () => {
+  DOM.status.innerText = "Loading…";
+  const index = await loadIndex();
+
+  const query = new URLSearchParams(window.location.search).get("q") || "";
+  DOM.input.value = query;
+  renderResults(index, query);
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let debounceTimer;
+  DOM.input.addEventListener("input", () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      const url = new URL(window.location.href);
+      if (DOM.input.value) url.searchParams.set("q", DOM.input.value);
+      else url.searchParams.delete("q");
+      window.history.replaceState(null, "", url);
+      renderResults(index, DOM.input.value);
+    }, SEARCH_DEBOUNCE_MS);
+  });
+
+  DOM.form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    renderResults(index, DOM.input.value);
+  });
+
+  DOM.input.focus();
+};
+
+initializeSearch().catch((error) => {
+  console.error("Search error:", error);
+  DOM.status.innerText = error.message;
+});
+
+export {};
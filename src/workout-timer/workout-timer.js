@@ -10,11 +10,19 @@ const STATUS = {
 
 const CHANGE_EXERCISE_TRANSITION_S = 6;
 const CHANGE_SIDES_TRANSITION_S = 6;
+const TABATA_DEFAULT_INTERVALS = 8;
+const TABATA_DEFAULT_WORK_S = 20;
+const TABATA_DEFAULT_REST_S = 10;
+const EMOM_SLOT_S = 60;
+const INTERVAL_MODE_NAMES = { tabata: "Tabata", emom: "EMOM", amrap: "AMRAP" };
 const ERROR_BANNER_AUTO_HIDE_MS = 8000;
 const HALFWAY_ANNOUNCEMENT_MIN_DURATION_S = 20;
 const STEP_JUST_STARTED_THRESHOLD_S = 2;
 const TICK_INTERVAL_MS = 250;
 const STORAGE_KEY_WORKOUTS = "workoutTexts";
+const HISTORY_DB_NAME = "workoutTimer";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE_SESSIONS = "sessions";
 const IS_TOUCH_DEVICE = window.matchMedia("(pointer: coarse)").matches;
 
 const DEFAULT_WORKOUT = `# My Workout
@@ -40,6 +48,11 @@ Stretching | 2m`;
  * @property {"left" | "right" | "each" | null} side
  * @property {string | null} notes
  * @property {string | null} section
+ * @property {Round | null} round
+ * @property {"tabata" | "emom" | null} [interval] - Set inside Tabata and EMOM sections, where the clock runs regardless of reps
+ * @property {number | null} [targetReps] - Reps to aim for while an interval clock runs
+ * @property {Load | null} [load] - Weight to lift, for rep-based exercises
+ * @property {{ current: number, total: number } | null} [set] - Position within sets like "3x10"
  */
 
 /**
@@ -48,6 +61,7 @@ Stretching | 2m`;
  * @property {number} durationSeconds
  * @property {string | null} notes
  * @property {string | null} section
+ * @property {Round | null} round
  */
 
 /**
@@ -56,18 +70,58 @@ Stretching | 2m`;
  * @property {"seconds" | "reps"} unit
  */
 
+/**
+ * @typedef {Object} Load
+ * @property {number} value
+ * @property {"kg" | "lb"} unit
+ */
+
 /**
  * @typedef {Object} Transition
  * @property {"transition"} type
  * @property {"changeSides" | "changeExercises"} kind
  * @property {number} durationSeconds
  * @property {string | null} section
+ * @property {Round | null} round
+ */
+
+/**
+ * One overall countdown for an AMRAP section. The exercises are worked
+ * through in order as many times as possible, logging each round with a tap.
+ * @typedef {Object} Amrap
+ * @property {"amrap"} type
+ * @property {number} durationSeconds
+ * @property {Array<{ name: string, volume: Volume, notes: string | null }>} exercises
+ * @property {string | null} section
+ * @property {Round | null} round
+ */
+
+/**
+ * Position of a step within a repeated section (`## Circuit x4`), a Tabata
+ * interval or an EMOM minute.
+ * @typedef {Object} Round
+ * @property {number} current - 1-based round number
+ * @property {number} total
+ * @property {"Round" | "Minute"} label
+ */
+
+/**
+ * Timing for a Tabata, EMOM or AMRAP section, taken from its header.
+ * @typedef {Object} IntervalSpec
+ * @property {"tabata" | "emom" | "amrap"} mode
+ * @property {number} count - Tabata intervals or EMOM minutes (1 for AMRAP)
+ * @property {number} workSeconds - Tabata work time, EMOM slot length or AMRAP time cap
+ * @property {number} restSeconds - Tabata rest between intervals (0 otherwise)
  */
 
 /**
  * @typedef {Object} WorkoutData
  * @property {string | null} title
- * @property {(Exercise | Transition | Rest)[]} steps
+ * @property {Step[]} steps
+ */
+
+/**
+ * @typedef {Exercise | Transition | Rest | Amrap} Step
  */
 
 /**
@@ -85,6 +139,9 @@ Stretching | 2m`;
  * @typedef {Object} ParsedHeader
  * @property {"header"} type
  * @property {string} name
+ * @property {number} rounds - How many times the section repeats (1 if not repeated)
+ * @property {number | null} roundRestSeconds - Rest inserted between rounds
+ * @property {IntervalSpec | null} interval
  */
 
 /**
@@ -92,6 +149,9 @@ Stretching | 2m`;
  * @property {"exercise"} type
  * @property {string} name
  * @property {Volume} volume
+ * @property {Load|null} load
+ * @property {number} sets - How many times the exercise is done (1 without sets)
+ * @property {number|null} setRestSeconds - Rest between sets
  * @property {string|null} modifier
  * @property {string|null} notes
  * @property {string[]} parts
@@ -117,6 +177,31 @@ Stretching | 2m`;
  * @typedef {ParsedEmpty | ParsedTitle | ParsedHeader | ParsedExercise | ParsedRest | ParsedError} ParsedLine
  */
 
+/**
+ * An exercise (or AMRAP) that ran to the end during a session.
+ * @typedef {Object} SessionExercise
+ * @property {string} name
+ * @property {Volume} volume
+ * @property {"left" | "right" | "each" | null} side
+ * @property {string | null} section
+ * @property {number} [rounds] - Rounds logged, for an AMRAP
+ * @property {Load | null} [load] - Weight actually lifted
+ * @property {number | null} [set] - Which set this was, for NxM exercises
+ */
+
+/**
+ * A finished workout, as stored in IndexedDB.
+ * @typedef {Object} WorkoutSession
+ * @property {number} [id] - Assigned by IndexedDB
+ * @property {string | null} title
+ * @property {number} startedAt - Timestamp
+ * @property {number} endedAt - Timestamp
+ * @property {number} elapsedSeconds - Workout time, excluding pauses
+ * @property {number} pausedSeconds
+ * @property {number} skippedSteps - Steps jumped over with next
+ * @property {SessionExercise[]} completedExercises
+ */
+
 /**
  * @typedef {Object} State
  * @property {string} status
@@ -131,6 +216,12 @@ Stretching | 2m`;
  * @property {number} totalPausedMs - Accumulated pause time in ms
  * @property {number} pauseStartTime - Timestamp when current pause began (0 if not paused)
  * @property {number} lastAnnouncedSecond - Last second value we announced (to avoid repeats)
+ * @property {boolean} emomWorkDone - Whether the reps of the current EMOM minute are done
+ * @property {number} amrapRounds - Rounds logged during the current AMRAP
+ * @property {number} skippedSteps - Steps jumped over with next this session
+ * @property {SessionExercise[]} completedExercises - Exercises that ran to the end this session
+ * @property {boolean} loadLogOpen - Whether the reps/weight log is showing for the current step
+ * @property {{ reps: number, load: Load } | null} stepResult - Reps and weight logged for the current step
  * @property {NodeJS.Timeout|null} mainTimer - Single interval driving all updates
  */
 
@@ -184,6 +275,34 @@ const DOM = {
   deleteWorkoutBtn: /** @type {HTMLButtonElement} */ (
     document.getElementById("delete-workout-btn")
   ),
+  historyBtn: /** @type {HTMLButtonElement} */ (
+    document.getElementById("history-btn")
+  ),
+  historyView: document.getElementById("history-view"),
+  historyBackBtn: /** @type {HTMLButtonElement} */ (
+    document.getElementById("history-back-btn")
+  ),
+  historyStats: document.getElementById("history-stats"),
+  historyMonth: document.getElementById("history-month"),
+  historyPrevMonthBtn: /** @type {HTMLButtonElement} */ (
+    document.getElementById("history-prev-month-btn")
+  ),
+  historyNextMonthBtn: /** @type {HTMLButtonElement} */ (
+    document.getElementById("history-next-month-btn")
+  ),
+  historyCalendar: document.getElementById("history-calendar"),
+  historyList: document.getElementById("history-list"),
+  loadLog: document.getElementById("load-log"),
+  loadLogReps: /** @type {HTMLInputElement} */ (
+    document.getElementById("load-log-reps")
+  ),
+  loadLogWeight: /** @type {HTMLInputElement} */ (
+    document.getElementById("load-log-weight")
+  ),
+  loadLogUnit: document.getElementById("load-log-unit"),
+  loadLogSaveBtn: /** @type {HTMLButtonElement} */ (
+    document.getElementById("load-log-save-btn")
+  ),
 };
 
 // --- ERROR HANDLING ---
@@ -248,9 +367,9 @@ const highlightExerciseOrRestLine = (line, parsed) => {
 
   result += `<span class="syntax-separator">|</span>`;
   result += `<span class="${durationClass}">${escapeHtml(rawParts[1])}</span>`;
-  if (rawParts[2] !== undefined) {
+  for (const option of rawParts.slice(2)) {
     result += `<span class="syntax-separator">|</span>`;
-    result += `<span class="${modifierClass}">${escapeHtml(rawParts[2])}</span>`;
+    result += `<span class="${modifierClass}">${escapeHtml(option)}</span>`;
   }
   if (commentPart) {
     result += `<span class="syntax-comment">${escapeHtml(commentPart)}</span>`;
@@ -449,6 +568,18 @@ const formatElapsedTime = (totalSeconds) => {
   return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
 };
 
+// --- LOAD AND SET FORMATTING ---
+
+/** @param {Load} load */
+const formatLoad = (load) => `${load.value}${load.unit}`;
+
+/** @param {Load} load */
+const formatLoadForSpeech = (load) =>
+  `${load.value} ${load.unit === "kg" ? "kilograms" : "pounds"}`;
+
+/** @param {{ current: number, total: number }} set */
+const formatSet = (set) => `Set ${set.current} of ${set.total}`;
+
 // --- WORKOUT PARSER ---
 
 /**
@@ -506,6 +637,179 @@ const parseVolume = (duration) => {
   );
 };
 
+/**
+ * Parse the weight after an "@", such as "80kg", "80 kg" or "175lb".
+ * @param {string} text
+ * @returns {Load}
+ */
+const parseLoad = (text) => {
+  const match = text.trim().match(/^(\d+(?:\.\d+)?)\s*(kg|lbs?)$/i);
+  if (!match) {
+    throw new Error(
+      `Invalid load: "${text.trim()}". Expected a weight like "80kg" or "175lb"`,
+    );
+  }
+  return {
+    value: parseFloat(match[1]),
+    unit: match[2].toLowerCase() === "kg" ? "kg" : "lb",
+  };
+};
+
+/**
+ * Parse a time that must not be a rep count.
+ * @param {string} text
+ * @param {string} label - What the time is for, used in the error message
+ * @returns {number} seconds
+ */
+const parseSeconds = (text, label) => {
+  const volume = parseVolume(text);
+  if (volume.unit === "reps") {
+    throw new Error(`${label} must be a time like "30s" or "1m"`);
+  }
+  return volume.value;
+};
+
+/**
+ * Parse a Tabata, EMOM or AMRAP section option such as "tabata 8x 20s/10s",
+ * "emom 10m" or "amrap 12m". Returns null for any other option.
+ * @param {string} option
+ * @returns {IntervalSpec | null}
+ */
+const parseIntervalSpec = (option) => {
+  const tabataMatch = option.match(/^tabata(?:\s+(.*))?$/i);
+  if (tabataMatch) {
+    if (!tabataMatch[1]) {
+      return {
+        mode: "tabata",
+        count: TABATA_DEFAULT_INTERVALS,
+        workSeconds: TABATA_DEFAULT_WORK_S,
+        restSeconds: TABATA_DEFAULT_REST_S,
+      };
+    }
+    const timingMatch = tabataMatch[1].match(/^(\d+)\s*[x×]\s*([^/]+)\/(.+)$/i);
+    if (!timingMatch || parseInt(timingMatch[1]) < 1) {
+      throw new Error(
+        `Invalid Tabata timing: "${tabataMatch[1]}". Expected something like "8x 20s/10s"`,
+      );
+    }
+    return {
+      mode: "tabata",
+      count: parseInt(timingMatch[1]),
+      workSeconds: parseSeconds(timingMatch[2], "Tabata work"),
+      restSeconds: parseSeconds(timingMatch[3], "Tabata rest"),
+    };
+  }
+
+  const emomMatch = option.match(/^emom\s+(.+)$/i);
+  if (emomMatch) {
+    const total = parseSeconds(emomMatch[1], "EMOM length");
+    if (total === 0 || total % EMOM_SLOT_S !== 0) {
+      throw new Error(`EMOM length must be whole minutes, like "10m"`);
+    }
+    return {
+      mode: "emom",
+      count: total / EMOM_SLOT_S,
+      workSeconds: EMOM_SLOT_S,
+      restSeconds: 0,
+    };
+  }
+
+  const amrapMatch = option.match(/^amrap\s+(.+)$/i);
+  if (amrapMatch) {
+    const total = parseSeconds(amrapMatch[1], "AMRAP length");
+    if (total === 0) throw new Error("AMRAP length must be more than zero");
+    return { mode: "amrap", count: 1, workSeconds: total, restSeconds: 0 };
+  }
+
+  return null;
+};
+
+/**
+ * Parse a section header such as "Main Set", "Circuit x4 | rest 60s",
+ * "Finisher | tabata", "Core | emom 10m" or "Burner | amrap 12m".
+ * @param {string} text - Header text after the ##
+ * @returns {ParsedHeader | ParsedError}
+ */
+const parseHeader = (text) => {
+  const [label, ...options] = text.split("|").map((s) => s.trim());
+  const roundsMatch = label.match(/^(.*?)\s+[x×](\d+)$/i);
+  const name = roundsMatch ? roundsMatch[1] : label;
+  const rounds = roundsMatch ? parseInt(roundsMatch[2]) : 1;
+
+  if (!name.length) {
+    return {
+      type: "error",
+      msg: "Empty header",
+      kind: "lineFormat",
+      stepType: null,
+    };
+  }
+  if (rounds < 1) {
+    return {
+      type: "error",
+      msg: `A section must repeat at least once, got x${rounds}`,
+      kind: "lineFormat",
+      stepType: null,
+    };
+  }
+  if (options.length > 1) {
+    return {
+      type: "error",
+      msg: `Expected at most one option after the section name, got ${options.length}`,
+      kind: "lineFormat",
+      stepType: null,
+    };
+  }
+  if (options.length === 0) {
+    return {
+      type: "header",
+      name,
+      rounds,
+      roundRestSeconds: null,
+      interval: null,
+    };
+  }
+
+  const option = options[0];
+  try {
+    const interval = parseIntervalSpec(option);
+    if (interval) {
+      if (rounds > 1) {
+        throw new Error(
+          `${INTERVAL_MODE_NAMES[interval.mode]} sections can't also repeat (x${rounds})`,
+        );
+      }
+      return { type: "header", name, rounds, roundRestSeconds: null, interval };
+    }
+
+    const restMatch = option.match(/^rest\s+(.+)$/i);
+    if (!restMatch) {
+      throw new Error(
+        `Invalid section option: "${option}". Expected "rest 60s", "tabata", "emom 10m" or "amrap 12m"`,
+      );
+    }
+    if (rounds === 1) {
+      throw new Error(
+        `Rest between rounds needs a repeat count, like "## ${name} x3 | rest 60s"`,
+      );
+    }
+    return {
+      type: "header",
+      name,
+      rounds,
+      roundRestSeconds: parseSeconds(restMatch[1], "Rest between rounds"),
+      interval: null,
+    };
+  } catch (e) {
+    return {
+      type: "error",
+      msg: e.message,
+      kind: "lineFormat",
+      stepType: null,
+    };
+  }
+};
+
 /**
  * @param {string} line
  * @param {number} [lineIndex=1] - 0-based line index in the document
@@ -552,7 +856,7 @@ const parseLine = (line, lineIndex = 1) => {
       return { type: "title", name };
     }
 
-    return { type: "header", name };
+    return parseHeader(name);
   }
 
   const commentIndex = line.indexOf("//");
@@ -561,21 +865,29 @@ const parseLine = (line, lineIndex = 1) => {
     commentIndex >= 0 ? line.substring(commentIndex + 2).trim() : null;
   const parts = mainPart.split("|").map((s) => s.trim());
 
-  if (parts.length < 2 || parts.length > 3) {
+  if (parts.length < 2 || parts.length > 4) {
     return {
       type: "error",
-      msg: `Expected 2-3 parts, got ${parts.length}`,
+      msg: `Expected 2-4 parts, got ${parts.length}`,
       kind: "lineFormat",
       stepType: null,
     };
   }
 
-  const [name, durationStr, modifier] = parts;
+  const [name, durationStr, ...options] = parts;
   const isRest = name.toLowerCase().trim() === "rest";
 
+  const [volumeStr, loadStr, ...extraLoads] = durationStr.split("@");
+  const setsMatch = volumeStr.match(/^\s*(\d+)\s*[x×]\s*(.+)$/i);
+  const sets = setsMatch ? parseInt(setsMatch[1]) : 1;
   let volume = null;
+  /** @type {Load | null} */
+  let load = null;
   try {
-    volume = parseVolume(durationStr);
+    if (extraLoads.length > 0) throw new Error(`Only one load (@) is allowed`);
+    if (sets < 1) throw new Error(`Sets must be at least 1, got ${sets}`);
+    volume = parseVolume(setsMatch ? setsMatch[2] : volumeStr);
+    if (loadStr !== undefined) load = parseLoad(loadStr);
   } catch (e) {
     return {
       type: "error",
@@ -586,14 +898,28 @@ const parseLine = (line, lineIndex = 1) => {
   }
 
   if (isRest) {
-    if (volume.unit === "reps") {
+    if (setsMatch) {
+      return {
+        type: "error",
+        msg: `Rest cannot have sets`,
+        kind: "duration",
+        stepType: "rest",
+      };
+    } else if (load) {
+      return {
+        type: "error",
+        msg: `Rest cannot have a load`,
+        kind: "duration",
+        stepType: "rest",
+      };
+    } else if (volume.unit === "reps") {
       return {
         type: "error",
         msg: `Rest cannot have reps as volume. Expected time format like "30s", "1m", "1m30s", or "1 minute, 30 seconds".`,
         kind: "duration",
         stepType: "rest",
       };
-    } else if (modifier !== undefined) {
+    } else if (options.length > 0) {
       return {
         type: "error",
         msg: `Rest cannot have a modifier (like "each side")`,
@@ -605,10 +931,48 @@ const parseLine = (line, lineIndex = 1) => {
     }
   }
 
-  if (modifier && modifier !== "each side") {
+  if (load && volume.unit !== "reps") {
     return {
       type: "error",
-      msg: `Invalid modifier: "${modifier}"`,
+      msg: `A load needs reps, like "5 reps @ 80kg"`,
+      kind: "duration",
+      stepType: "exercise",
+    };
+  }
+
+  /** @type {string | null} */
+  let modifier = null;
+  /** @type {number | null} */
+  let setRestSeconds = null;
+  for (const option of options) {
+    const restMatch = option.match(/^rest\s+(.+)$/i);
+    if (option === "each side" && modifier === null) {
+      modifier = option;
+    } else if (restMatch && setRestSeconds === null) {
+      try {
+        setRestSeconds = parseSeconds(restMatch[1], "Rest between sets");
+      } catch (e) {
+        return {
+          type: "error",
+          msg: e.message,
+          kind: "modifier",
+          stepType: "exercise",
+        };
+      }
+    } else {
+      return {
+        type: "error",
+        msg: `Invalid modifier: "${option}"`,
+        kind: "modifier",
+        stepType: "exercise",
+      };
+    }
+  }
+
+  if (setRestSeconds !== null && sets === 1) {
+    return {
+      type: "error",
+      msg: `Rest between sets needs a number of sets, like "3x10 | rest 60s"`,
       kind: "modifier",
       stepType: "exercise",
     };
@@ -618,20 +982,25 @@ const parseLine = (line, lineIndex = 1) => {
     type: "exercise",
     name,
     volume,
-    modifier: modifier || null,
+    load,
+    sets,
+    setRestSeconds,
+    modifier,
     notes,
     parts,
   };
 };
 
 /**
- * Expand a parsed line into steps, stamped with the current section.
+ * Expand a parsed line into steps, stamped with the current section and round.
+ * Sets ("3x10") repeat the exercise, with any rest between sets.
  * @param {string} line
  * @param {number} lineIndex
  * @param {string | null} section
+ * @param {Round | null} [round=null]
  * @returns {(Exercise | Transition | Rest)[]}
  */
-const expandLineToSteps = (line, lineIndex, section) => {
+const expandLineToSteps = (line, lineIndex, section, round = null) => {
   const parsed = parseLine(line, lineIndex);
 
   if (
@@ -649,16 +1018,56 @@ const expandLineToSteps = (line, lineIndex, section) => {
         durationSeconds: parsed.volume.value,
         notes: parsed.notes,
         section,
+        round,
       },
     ];
   }
 
-  const { name, volume, modifier, notes } = parsed;
+  /** @type {(Exercise | Transition | Rest)[]} */
+  const steps = [];
+  for (let current = 1; current <= parsed.sets; current++) {
+    const set = parsed.sets > 1 ? { current, total: parsed.sets } : null;
+    steps.push(...expandExerciseSet(parsed, section, round, set));
+    if (parsed.setRestSeconds && current < parsed.sets) {
+      steps.push({
+        type: "rest",
+        durationSeconds: parsed.setRestSeconds,
+        notes: null,
+        section,
+        round,
+      });
+    }
+  }
+  return steps;
+};
+
+/**
+ * Expand one set of an exercise into its steps, with the transitions it needs.
+ * @param {ParsedExercise} parsed
+ * @param {string | null} section
+ * @param {Round | null} round
+ * @param {{ current: number, total: number } | null} set
+ * @returns {(Exercise | Transition)[]}
+ */
+const expandExerciseSet = (parsed, section, round, set) => {
+  const { name, volume, load, modifier, notes } = parsed;
 
   if (modifier === "each side") {
     if (parsed.volume.unit === "reps") {
       // Rep-based exercises don't need transitions - announcement happens in the exercise step
-      return [{ type: "exercise", name, volume, side: "each", notes, section }];
+      return [
+        {
+          type: "exercise",
+          name,
+          volume,
+          load,
+          side: "each",
+          notes,
+          section,
+          round,
+          set,
+        },
+      ];
     } else {
       return [
         {
@@ -666,22 +1075,54 @@ const expandLineToSteps = (line, lineIndex, section) => {
           kind: "changeExercises",
           durationSeconds: CHANGE_EXERCISE_TRANSITION_S,
           section,
+          round,
+        },
+        {
+          type: "exercise",
+          name,
+          volume,
+          side: "left",
+          notes,
+          section,
+          round,
+          set,
         },
-        { type: "exercise", name, volume, side: "left", notes, section },
         {
           type: "transition",
           kind: "changeSides",
           durationSeconds: CHANGE_SIDES_TRANSITION_S,
           section,
+          round,
+        },
+        {
+          type: "exercise",
+          name,
+          volume,
+          side: "right",
+          notes,
+          section,
+          round,
+          set,
         },
-        { type: "exercise", name, volume, side: "right", notes, section },
       ];
     }
   }
 
   // Rep-based exercises don't need transitions - announcement happens in the exercise step
   if (parsed.volume.unit === "reps") {
-    return [{ type: "exercise", name, volume, side: null, notes, section }];
+    return [
+      {
+        type: "exercise",
+        name,
+        volume,
+        load,
+        side: null,
+        notes,
+        section,
+        round,
+        set,
+      },
+    ];
   }
 
   // Time-based exercises get a transition
@@ -691,9 +1132,161 @@ const expandLineToSteps = (line, lineIndex, section) => {
       kind: "changeExercises",
       durationSeconds: CHANGE_EXERCISE_TRANSITION_S,
       section,
+      round,
+    },
+    { type: "exercise", name, volume, side: null, notes, section, round, set },
+  ];
+};
+
+/**
+ * Check that a parsed line can go inside a Tabata, EMOM or AMRAP section,
+ * where the header sets the timing.
+ * @param {ParsedLine} parsed
+ * @param {IntervalSpec} spec
+ * @returns {ParsedExercise | null} null for empty lines
+ */
+const toIntervalExercise = (parsed, spec) => {
+  if (parsed.type === "empty") return null;
+  if (parsed.type === "error") throw new Error(parsed.msg);
+  if (parsed.type !== "exercise") {
+    throw new Error(
+      `${INTERVAL_MODE_NAMES[spec.mode]} sections can only contain exercises. Rests come from the header`,
+    );
+  }
+  if (parsed.modifier) {
+    throw new Error(
+      `"${parsed.modifier}" isn't supported in ${INTERVAL_MODE_NAMES[spec.mode]} sections`,
+    );
+  }
+  if (parsed.load) {
+    throw new Error(
+      `Loads aren't tracked in ${INTERVAL_MODE_NAMES[spec.mode]} sections`,
+    );
+  }
+  if (parsed.sets > 1 || parsed.setRestSeconds !== null) {
+    throw new Error(
+      `Sets aren't supported in ${INTERVAL_MODE_NAMES[spec.mode]} sections`,
+    );
+  }
+  if (spec.mode === "tabata" && parsed.volume.unit === "seconds") {
+    throw new Error(
+      `Tabata sets the work time. Give a rep target instead, like "${parsed.name} | 12"`,
+    );
+  }
+  if (
+    spec.mode === "emom" &&
+    parsed.volume.unit === "seconds" &&
+    parsed.volume.value >= spec.workSeconds
+  ) {
+    throw new Error(
+      `An EMOM exercise must fit in the minute, got ${parsed.volume.value}s`,
+    );
+  }
+  return parsed;
+};
+
+/**
+ * Expand the exercises of a Tabata, EMOM or AMRAP section into steps.
+ * Tabata and EMOM cycle through the exercises, one per interval or minute.
+ * @param {IntervalSpec} spec
+ * @param {ParsedExercise[]} exercises
+ * @param {string | null} section
+ * @returns {Step[]}
+ */
+const expandIntervalSection = (spec, exercises, section) => {
+  /** @type {Step[]} */
+  const steps = [
+    {
+      type: "transition",
+      kind: "changeExercises",
+      durationSeconds: CHANGE_EXERCISE_TRANSITION_S,
+      section,
+      round: null,
     },
-    { type: "exercise", name, volume, side: null, notes, section },
   ];
+
+  if (spec.mode === "amrap") {
+    steps.push({
+      type: "amrap",
+      durationSeconds: spec.workSeconds,
+      exercises: exercises.map(({ name, volume, notes }) => ({
+        name,
+        volume,
+        notes,
+      })),
+      section,
+      round: null,
+    });
+    return steps;
+  }
+
+  for (let current = 1; current <= spec.count; current++) {
+    const { name, volume, notes } = exercises[(current - 1) % exercises.length];
+    /** @type {Round} */
+    const round = {
+      current,
+      total: spec.count,
+      label: spec.mode === "emom" ? "Minute" : "Round",
+    };
+
+    if (spec.mode === "tabata") {
+      steps.push({
+        type: "exercise",
+        name,
+        volume: { value: spec.workSeconds, unit: "seconds" },
+        side: null,
+        notes,
+        section,
+        round,
+        interval: "tabata",
+        targetReps: volume.value,
+      });
+      if (spec.restSeconds > 0 && current < spec.count) {
+        steps.push({
+          type: "rest",
+          durationSeconds: spec.restSeconds,
+          notes: null,
+          section,
+          round,
+        });
+      }
+    } else if (volume.unit === "reps") {
+      // The minute keeps running; once the reps are done the rest of it is rest
+      steps.push({
+        type: "exercise",
+        name,
+        volume: { value: spec.workSeconds, unit: "seconds" },
+        side: null,
+        notes,
+        section,
+        round,
+        interval: "emom",
+        targetReps: volume.value,
+      });
+    } else {
+      steps.push(
+        {
+          type: "exercise",
+          name,
+          volume,
+          side: null,
+          notes,
+          section,
+          round,
+          interval: "emom",
+          targetReps: null,
+        },
+        {
+          type: "rest",
+          durationSeconds: spec.workSeconds - volume.value,
+          notes: null,
+          section,
+          round,
+        },
+      );
+    }
+  }
+  return steps;
 };
 
 /**
@@ -703,13 +1296,75 @@ const expandLineToSteps = (line, lineIndex, section) => {
  */
 const parseWorkout = (text) => {
   const lines = text.split("\n");
-  /** @type {(Exercise | Transition | Rest)[]} */
+  /** @type {Step[]} */
   const steps = [];
   const errors = [];
   /** @type {string | null} */
   let title = null;
-  /** @type {string | null} */
-  let currentSection = null;
+  /** @type {ParsedHeader | null} */
+  let currentHeader = null;
+  let currentHeaderIndex = 0;
+  /** @type {Array<{ line: string, index: number }>} */
+  let sectionLines = [];
+
+  // Sections are expanded once they end, so a repeated section can be
+  // emitted round by round. Errors are only collected on the first round.
+  const flushSection = () => {
+    if (currentHeader?.interval) {
+      flushIntervalSection(currentHeader.interval);
+      return;
+    }
+
+    const section = currentHeader ? currentHeader.name : null;
+    const rounds = currentHeader ? currentHeader.rounds : 1;
+    const roundRestSeconds = currentHeader?.roundRestSeconds ?? null;
+
+    for (let current = 1; current <= rounds; current++) {
+      /** @type {Round | null} */
+      const round =
+        rounds > 1 ? { current, total: rounds, label: "Round" } : null;
+      for (const { line, index } of sectionLines) {
+        try {
+          steps.push(...expandLineToSteps(line, index, section, round));
+        } catch (error) {
+          if (current === 1) errors.push(`Line ${index + 1}: ${error.message}`);
+        }
+      }
+      if (roundRestSeconds && current < rounds) {
+        steps.push({
+          type: "rest",
+          durationSeconds: roundRestSeconds,
+          notes: null,
+          section,
+          round,
+        });
+      }
+    }
+    sectionLines = [];
+  };
+
+  /** @param {IntervalSpec} spec */
+  const flushIntervalSection = (spec) => {
+    const errorCount = errors.length;
+    const exercises = [];
+    for (const { line, index } of sectionLines) {
+      try {
+        const exercise = toIntervalExercise(parseLine(line, index), spec);
+        if (exercise) exercises.push(exercise);
+      } catch (error) {
+        errors.push(`Line ${index + 1}: ${error.message}`);
+      }
+    }
+
+    if (exercises.length > 0) {
+      steps.push(...expandIntervalSection(spec, exercises, currentHeader.name));
+    } else if (errors.length === errorCount) {
+      errors.push(
+        `Line ${currentHeaderIndex + 1}: This ${INTERVAL_MODE_NAMES[spec.mode]} section has no exercises`,
+      );
+    }
+    sectionLines = [];
+  };
 
   lines.forEach((line, index) => {
     const parsed = parseLine(line, index);
@@ -719,16 +1374,15 @@ const parseWorkout = (text) => {
       return;
     }
     if (parsed.type === "header") {
-      currentSection = parsed.name;
+      flushSection();
+      currentHeader = parsed;
+      currentHeaderIndex = index;
       return;
     }
 
-    try {
-      steps.push(...expandLineToSteps(line, index, currentSection));
-    } catch (error) {
-      errors.push(`Line ${index + 1}: ${error.message}`);
-    }
+    sectionLines.push({ line, index });
   });
+  flushSection();
 
   if (errors.length > 0) throw new Error(errors.join("\n"));
   return { title, steps };
@@ -740,18 +1394,18 @@ const parseWorkout = (text) => {
 const findNextExerciseOrRest = (state) => {
   for (let i = state.stepIndex + 1; i < state.workoutData.steps.length; i++) {
     const s = state.workoutData.steps[i];
-    if (s.type === "exercise" || s.type === "rest") return s;
+    if (s.type !== "transition") return s;
   }
   return null;
 };
 
 /** @param {State} state
- * @return {Exercise | Transition | Rest | null} */
+ * @return {Step | null} */
 const getCurrentStep = (state) => state.workoutData.steps[state.stepIndex];
 
 /**
  * Get the step duration for a given step.
- * @param {Exercise | Transition | Rest} step
+ * @param {Step} step
  * @returns {number}
  */
 const getStepDuration = (step) => {
@@ -761,6 +1415,16 @@ const getStepDuration = (step) => {
   return step.durationSeconds;
 };
 
+/**
+ * Describe one exercise of an AMRAP, e.g. "10 Push-ups" or "Plank for 30 seconds".
+ * @param {{ name: string, volume: Volume }} exercise
+ * @returns {string}
+ */
+const describeAmrapExercise = ({ name, volume }) =>
+  volume.unit === "reps"
+    ? `${volume.value} ${name}`
+    : `${name} for ${formatDurationForSpeech(volume.value)}`;
+
 // --- DERIVED TIME HELPERS ---
 
 /**
@@ -803,6 +1467,12 @@ const createInitialState = () => ({
   totalPausedMs: 0,
   pauseStartTime: 0,
   lastAnnouncedSecond: -1,
+  emomWorkDone: false,
+  amrapRounds: 0,
+  skippedSteps: 0,
+  completedExercises: [],
+  loadLogOpen: false,
+  stepResult: null,
   mainTimer: null,
 });
 
@@ -867,7 +1537,7 @@ const announceCountdownIfNeeded = async (state, timeLeft) => {
     }
   } else {
     const duration =
-      step.type === "rest"
+      step.type === "rest" || step.type === "amrap"
         ? step.durationSeconds
         : step.volume.unit === "seconds"
           ? step.volume.value
@@ -917,12 +1587,12 @@ const setTimerDisplay = (text) => {
 const computeProgressPercent = (state) => {
   if (state.status === STATUS.DONE) return 100;
   const total = state.workoutData.steps.filter(
-    (s) => s.type === "exercise",
+    (s) => s.type === "exercise" || s.type === "amrap",
   ).length;
   if (total === 0) return 0;
   const done = state.workoutData.steps
     .slice(0, state.stepIndex)
-    .filter((s) => s.type === "exercise").length;
+    .filter((s) => s.type === "exercise" || s.type === "amrap").length;
   return Math.min((done / total) * 100, 100);
 };
 
@@ -939,6 +1609,7 @@ const updateSectionDisplay = (state) => {
   if (!DOM.sectionIndicator) return;
   const step = getCurrentStep(state);
   const section = step ? step.section : null;
+  const round = step ? step.round : null;
   const title = state.workoutData.title;
 
   let display = "";
@@ -949,6 +1620,9 @@ const updateSectionDisplay = (state) => {
   } else if (section) {
     display = section;
   }
+  if (round) {
+    display += `${display ? " · " : ""}${round.label} ${round.current} of ${round.total}`;
+  }
 
   if (display) {
     DOM.sectionIndicator.innerText = display;
@@ -974,6 +1648,7 @@ const applyWorkoutViewDefaults = (state) => {
   DOM.progressBar.style.width = `${computeProgressPercent(state)}%`;
   DOM.progressBarContainer.style.display = "block";
   DOM.timerDisplay.style.display = "block";
+  DOM.loadLog.style.display = "none";
   updateSectionDisplay(state);
 };
 
@@ -994,12 +1669,18 @@ const displayTransitionStep = (state, step) => {
 
   const next = findNextExerciseOrRest(state);
   if (next?.type === "exercise") {
+    const details = next.set ? [formatSet(next.set)] : [];
+    if (next.side !== null) details.push(`(${next.side} side)`);
     DOM.exerciseName.innerText = next.name;
-    DOM.exerciseDetail.innerText =
-      next.side !== null ? `(${next.side} side)` : "";
+    DOM.exerciseDetail.innerText = details.join(" · ");
   } else if (next?.type === "rest") {
     DOM.exerciseName.innerText = "Rest";
     DOM.exerciseDetail.innerText = "";
+  } else if (next?.type === "amrap") {
+    DOM.exerciseName.innerText = "AMRAP";
+    DOM.exerciseDetail.innerText = formatDurationForSpeech(
+      next.durationSeconds,
+    );
   }
 };
 
@@ -1013,24 +1694,66 @@ const displayActiveStep = (state, step) => {
   DOM.displayContainer.dataset.tappable = "false";
 
   if (step.type === "rest") {
+    const next = findNextExerciseOrRest(state);
     DOM.exerciseName.innerText = "Rest";
-    DOM.exerciseDetail.innerText = "";
+    DOM.exerciseDetail.innerText =
+      next?.type === "exercise" && next.set
+        ? `Next: ${formatSet(next.set).toLowerCase()}`
+        : "";
+    setTimerDisplay(formatCountdown(getStepTimeLeftS(state)));
+    DOM.displayContainer.dataset.tappable = "true";
+    DOM.tapIndicator.innerText = IS_TOUCH_DEVICE
+      ? "Tap to skip"
+      : "Press Enter to skip";
+  } else if (step.interval === "emom" && state.emomWorkDone) {
+    DOM.exerciseName.innerText = "Rest";
+    DOM.exerciseDetail.innerText = "until the next minute";
     setTimerDisplay(formatCountdown(getStepTimeLeftS(state)));
     DOM.displayContainer.dataset.tappable = "true";
     DOM.tapIndicator.innerText = IS_TOUCH_DEVICE
       ? "Tap to skip"
       : "Press Enter to skip";
+  } else if (step.interval) {
+    DOM.exerciseName.innerText = step.name;
+    DOM.exerciseDetail.innerText = step.targetReps
+      ? `${step.targetReps} reps`
+      : "";
+    setTimerDisplay(formatCountdown(getStepTimeLeftS(state)));
+    if (step.interval === "emom" && step.targetReps) {
+      DOM.displayContainer.dataset.tappable = "true";
+      DOM.tapIndicator.innerText = IS_TOUCH_DEVICE
+        ? "Tap when done"
+        : "Press Enter when done";
+    } else {
+      DOM.tapIndicator.innerText = "";
+    }
   } else {
+    const details = step.set ? [formatSet(step.set)] : [];
+    if (step.side !== null) details.push(`(${step.side} side)`);
+    if (step.load) {
+      details.push(`@ ${formatLoad(step.load)}`);
+      const last = getLastLoad(step);
+      if (last) details.push(`last ${last.reps} × ${formatLoad(last.load)}`);
+    }
     DOM.exerciseName.innerText = step.name;
-    DOM.exerciseDetail.innerText =
-      step.side !== null ? `(${step.side} side)` : "";
+    DOM.exerciseDetail.innerText = details.join(" · ");
 
-    if (step.volume.unit === "reps") {
+    if (step.volume.unit === "reps" && state.loadLogOpen) {
+      setTimerDisplay(step.volume.value.toString());
+      DOM.loadLog.style.display = "flex";
+      DOM.tapIndicator.innerText = "";
+    } else if (step.volume.unit === "reps") {
       setTimerDisplay(step.volume.value.toString());
       DOM.displayContainer.dataset.tappable = "true";
-      DOM.tapIndicator.innerText = IS_TOUCH_DEVICE
-        ? "Tap to continue"
-        : "Press Enter to continue";
+      if (step.load) {
+        DOM.tapIndicator.innerText = IS_TOUCH_DEVICE
+          ? "Tap to log"
+          : "Press Enter to log";
+      } else {
+        DOM.tapIndicator.innerText = IS_TOUCH_DEVICE
+          ? "Tap to continue"
+          : "Press Enter to continue";
+      }
     } else {
       setTimerDisplay(formatCountdown(getStepTimeLeftS(state)));
       DOM.tapIndicator.innerText = "";
@@ -1038,6 +1761,24 @@ const displayActiveStep = (state, step) => {
   }
 };
 
+/**
+ * @param {State} state
+ * @param {Amrap} step
+ */
+const displayAmrapStep = (state, step) => {
+  DOM.displayContainer.className = "main-display state-work";
+  DOM.exerciseGetReady.innerText = `${state.amrapRounds} ${state.amrapRounds === 1 ? "round" : "rounds"}`;
+  DOM.exerciseName.innerText = step.exercises
+    .map(describeAmrapExercise)
+    .join(" · ");
+  DOM.exerciseDetail.innerText = "";
+  setTimerDisplay(formatCountdown(getStepTimeLeftS(state)));
+  DOM.displayContainer.dataset.tappable = "true";
+  DOM.tapIndicator.innerText = IS_TOUCH_DEVICE
+    ? "Tap to log a round"
+    : "Press Enter to log a round";
+};
+
 /** @param {State} state */
 const displayDone = (state) => {
   updateSectionDisplay(state);
@@ -1058,6 +1799,7 @@ const displayDone = (state) => {
   DOM.editorView.style.display = "none";
   DOM.workoutView.style.display = "flex";
   DOM.displayContainer.dataset.tappable = "false";
+  DOM.loadLog.style.display = "none";
 };
 
 /** @param {State} state */
@@ -1066,8 +1808,8 @@ const displayInProgress = (state) => {
   applyWorkoutViewDefaults(state);
 
   if (step.type === "transition") displayTransitionStep(state, step);
-  else if (step.type === "exercise" || step.type === "rest")
-    displayActiveStep(state, step);
+  else if (step.type === "amrap") displayAmrapStep(state, step);
+  else displayActiveStep(state, step);
   DOM.playPauseBtn.innerText = "Pause";
 };
 
@@ -1141,6 +1883,9 @@ const startWorkout = async () => {
   }
 
   acquireScreenWakeLock(); // Don't await - let it happen in background
+  refreshLastLoads().catch((error) => {
+    console.warn("Could not load previous weights:", error);
+  });
   beginWorkoutFromStart(state);
 };
 
@@ -1153,6 +1898,8 @@ const beginWorkoutFromStart = (state) => {
   state.pauseStartTime = 0;
   state.stepElapsedMs = 0;
   state.stepResumedAt = 0;
+  state.skippedSteps = 0;
+  state.completedExercises = [];
 
   if (state.stepIndex < state.workoutData.steps.length) {
     state.stepDuration = getStepDuration(
@@ -1176,11 +1923,16 @@ const transitionToEditing = (state) => {
 
 /** @param {State} state */
 const finishWorkout = (state) => {
+  if (state.status === STATUS.PAUSED) {
+    state.totalPausedMs += Date.now() - state.pauseStartTime;
+    state.pauseStartTime = 0;
+  }
   state.status = STATUS.DONE;
   state.stepIndex = state.workoutData.steps.length - 1;
   stopTickTimer(state);
   speak("Workout Complete");
   updateDisplay(state);
+  recordSession(state);
 };
 
 // --- STEP MANAGEMENT ---
@@ -1241,6 +1993,10 @@ const enterCurrentStep = (state) => {
   state.stepElapsedMs = 0;
   state.stepAnnounced = false;
   state.lastAnnouncedSecond = -1;
+  state.emomWorkDone = false;
+  state.amrapRounds = 0;
+  state.loadLogOpen = false;
+  state.stepResult = null;
   state.stepDuration = getStepDuration(step);
 
   // For transitions, don't start timer yet - announceCurrentStep will start it after speech
@@ -1285,7 +2041,21 @@ const buildTransitionSpeechParts = (step, state) => {
       sideSuffix = next.name;
     }
     const prefix = step.kind === "changeSides" ? "Switch to" : "Get ready for";
-    return [{ text: `${prefix} ${sideSuffix}`, pauseBeforeMs: null }];
+    const setSuffix =
+      step.kind === "changeExercises" && next.set
+        ? `, ${formatSet(next.set).toLowerCase()}`
+        : "";
+    return [
+      { text: `${prefix} ${sideSuffix}${setSuffix}`, pauseBeforeMs: null },
+    ];
+  }
+  if (next?.type === "amrap") {
+    return [
+      {
+        text: `Get ready for as many rounds as possible in ${formatDurationForSpeech(next.durationSeconds)}`,
+        pauseBeforeMs: null,
+      },
+    ];
   }
   return [];
 };
@@ -1296,11 +2066,29 @@ const buildTransitionSpeechParts = (step, state) => {
  * @returns {Array<{ text: string, pauseBeforeMs: number | null }>}
  */
 const buildExerciseSpeechParts = (step) => {
+  // Interval exercises follow each other without a transition, so name them
+  if (step.interval) {
+    const target = step.targetReps
+      ? `${step.targetReps} reps`
+      : step.interval === "emom"
+        ? formatDurationForSpeech(step.volume.value)
+        : null;
+    return [
+      { text: step.name, pauseBeforeMs: null },
+      ...(target ? [{ text: target, pauseBeforeMs: 400 }] : []),
+      { text: "Go!", pauseBeforeMs: 400 },
+    ];
+  }
   if (step.volume.unit === "reps") {
     const sideSuffix = step.side === "each" ? " on each side" : "";
+    const loadSuffix = step.load ? ` at ${formatLoadForSpeech(step.load)}` : "";
     return [
-      { text: step.name, pauseBeforeMs: null },
-      { text: `${step.volume.value} reps${sideSuffix}`, pauseBeforeMs: 400 },
+      ...(step.set ? [{ text: formatSet(step.set), pauseBeforeMs: null }] : []),
+      { text: step.name, pauseBeforeMs: step.set ? 400 : null },
+      {
+        text: `${step.volume.value} reps${loadSuffix}${sideSuffix}`,
+        pauseBeforeMs: 400,
+      },
       { text: "Go!", pauseBeforeMs: 400 },
     ];
   }
@@ -1323,12 +2111,29 @@ const buildRestSpeechParts = (step) => [
   },
 ];
 
+/**
+ * Build speech parts for an AMRAP step: the time cap, then each exercise.
+ * @param {Amrap} step
+ * @returns {Array<{ text: string, pauseBeforeMs: number | null }>}
+ */
+const buildAmrapSpeechParts = (step) => [
+  {
+    text: `${formatDurationForSpeech(step.durationSeconds)} on the clock`,
+    pauseBeforeMs: null,
+  },
+  ...step.exercises.map((exercise) => ({
+    text: describeAmrapExercise(exercise),
+    pauseBeforeMs: 400,
+  })),
+  { text: "Go!", pauseBeforeMs: 400 },
+];
+
 /**
  * Build the complete array of speech parts for a step, including title,
  * section, step-specific speech, and notes. Every part that follows
  * another part has a 400ms pause before it (except section after title,
  * which has a 1s pause).
- * @param {Exercise | Transition | Rest} step
+ * @param {Step} step
  * @param {State} state
  * @returns {Array<{ text: string, pauseBeforeMs: number | null }>}
  */
@@ -1353,6 +2158,18 @@ const buildStepSpeechParts = (step, state) => {
     });
   }
 
+  // --- Round (when a repeated section starts a new round) ---
+  const roundChanged =
+    !prevStep ||
+    sectionChanged ||
+    prevStep.round?.current !== step.round?.current;
+  if (roundChanged && step.round) {
+    parts.push({
+      text: `${step.round.label} ${step.round.current} of ${step.round.total}`,
+      pauseBeforeMs: parts.length > 0 ? 400 : null,
+    });
+  }
+
   // --- Step-specific speech ---
   /** @type {Array<{ text: string, pauseBeforeMs: number | null }>} */
   let stepParts;
@@ -1360,6 +2177,8 @@ const buildStepSpeechParts = (step, state) => {
     stepParts = buildTransitionSpeechParts(step, state);
   } else if (step.type === "exercise") {
     stepParts = buildExerciseSpeechParts(step);
+  } else if (step.type === "amrap") {
+    stepParts = buildAmrapSpeechParts(step);
   } else {
     stepParts = buildRestSpeechParts(step);
   }
@@ -1381,9 +2200,41 @@ const buildStepSpeechParts = (step, state) => {
   return parts;
 };
 
+/**
+ * Add the current step to the session's completed exercises, if it is one.
+ * @param {State} state
+ */
+const recordStepCompleted = (state) => {
+  const step = getCurrentStep(state);
+  if (step.type === "exercise") {
+    const result = state.stepResult;
+    state.completedExercises.push({
+      name: step.name,
+      volume: result
+        ? { value: result.reps, unit: "reps" }
+        : step.targetReps
+          ? { value: step.targetReps, unit: "reps" }
+          : step.volume,
+      side: step.side,
+      section: step.section,
+      load: result ? result.load : (step.load ?? null),
+      set: step.set?.current ?? null,
+    });
+  } else if (step.type === "amrap") {
+    state.completedExercises.push({
+      name: step.section ?? "AMRAP",
+      volume: { value: step.durationSeconds, unit: "seconds" },
+      side: null,
+      section: step.section,
+      rounds: state.amrapRounds,
+    });
+  }
+};
+
 /** @param {State} state */
 const advanceToNextStep = (state) => {
   cancelSpeechForNewSpeech();
+  recordStepCompleted(state);
   state.stepIndex++;
   if (state.stepIndex >= state.workoutData.steps.length) {
     finishWorkout(state);
@@ -1395,35 +2246,111 @@ const advanceToNextStep = (state) => {
 // --- NAVIGATION HELPERS ---
 
 /**
- * Find the index of the next transition, rest, or rep-based exercise step after the current one.
+ * Find the index of the next transition, rest, AMRAP, rep-based or interval exercise step after the current one.
  * @param {State} state
  */
 const findNextBreakpointIndex = (state) => {
   for (let i = state.stepIndex + 1; i < state.workoutData.steps.length; i++) {
     const step = state.workoutData.steps[i];
     const t = step.type;
-    if (t === "transition" || t === "rest") return i;
-    if (t === "exercise" && step.volume.unit === "reps") return i;
+    if (t === "transition" || t === "rest" || t === "amrap") return i;
+    if (t === "exercise" && (step.volume.unit === "reps" || step.interval))
+      return i;
   }
   return state.workoutData.steps.length;
 };
 
 /**
- * Find the index of the previous transition, rest, or rep-based exercise step before the current one.
+ * Find the index of the previous transition, rest, AMRAP, rep-based or interval exercise step before the current one.
  * @param {State} state
  */
 const findPrevBreakpointIndex = (state) => {
   for (let i = state.stepIndex - 1; i >= 0; i--) {
     const step = state.workoutData.steps[i];
     const t = step.type;
-    if (t === "transition" || t === "rest") return i;
-    if (t === "exercise" && step.volume.unit === "reps") return i;
+    if (t === "transition" || t === "rest" || t === "amrap") return i;
+    if (t === "exercise" && (step.volume.unit === "reps" || step.interval))
+      return i;
   }
   return 0;
 };
 
 // --- USER CONTROLS ---
 
+/**
+ * Handle a tap (or Enter) on a tappable display. Most steps simply advance;
+ * an AMRAP logs a round and an EMOM minute switches to rest once the reps are done.
+ * @param {State} state
+ */
+const handleStepTap = (state) => {
+  const step = getCurrentStep(state);
+  const isRunning = state.status === STATUS.IN_PROGRESS;
+
+  if (step.type === "amrap") {
+    // Tapping only logs rounds; use next to leave an AMRAP early
+    if (!isRunning) return;
+    cancelSpeechForNewSpeech();
+    state.amrapRounds++;
+    speak(
+      `${state.amrapRounds} ${state.amrapRounds === 1 ? "round" : "rounds"}`,
+    );
+    updateDisplay(state);
+  } else if (step.type === "exercise" && step.load && !isRunning) {
+    // The load log only opens or saves while the workout is running
+    return;
+  } else if (step.type === "exercise" && step.load && !state.loadLogOpen) {
+    openLoadLog(state, step);
+  } else if (
+    isRunning &&
+    step.type === "exercise" &&
+    step.interval === "emom" &&
+    step.targetReps &&
+    !state.emomWorkDone
+  ) {
+    cancelSpeechForNewSpeech();
+    state.emomWorkDone = true;
+    speak(`Rest for ${formatDurationForSpeech(getStepTimeLeftS(state))}`);
+    updateDisplay(state);
+  } else {
+    advanceToNextStep(state);
+  }
+};
+
+/**
+ * Show the log for a loaded rep step, prefilled with the planned reps and weight.
+ * @param {State} state
+ * @param {Exercise} step
+ */
+const openLoadLog = (state, step) => {
+  state.loadLogOpen = true;
+  DOM.loadLogReps.value = String(step.volume.value);
+  DOM.loadLogWeight.value = String(step.load.value);
+  DOM.loadLogUnit.innerText = step.load.unit;
+  updateDisplay(state);
+  if (!IS_TOUCH_DEVICE) DOM.loadLogReps.select();
+};
+
+/**
+ * Keep the reps and weight from the log and move on. Empty or invalid
+ * fields fall back to what was planned.
+ * @param {State} state
+ */
+const confirmLoadLog = (state) => {
+  const step = getCurrentStep(state);
+  if (state.status !== STATUS.IN_PROGRESS) return;
+  if (step.type !== "exercise" || !step.load) return;
+  const reps = parseInt(DOM.loadLogReps.value);
+  const weight = parseFloat(DOM.loadLogWeight.value);
+  state.stepResult = {
+    reps: reps >= 0 ? reps : step.volume.value,
+    load: {
+      value: weight >= 0 ? weight : step.load.value,
+      unit: step.load.unit,
+    },
+  };
+  advanceToNextStep(state);
+};
+
 /** @param {State} state */
 const togglePause = (state) => {
   if (state.status === STATUS.DONE) {
@@ -1461,8 +2388,13 @@ const togglePause = (state) => {
 
 /** @param {State} state */
 const skipToNextExercise = (state) => {
+  // The done screen has nothing to skip to; finishing again would re-record the session
+  if (state.status === STATUS.DONE) return;
   cancelSpeechForNewSpeech();
   const nextIndex = findNextBreakpointIndex(state);
+  state.skippedSteps += state.workoutData.steps
+    .slice(state.stepIndex, nextIndex)
+    .filter((s) => s.type !== "transition").length;
   if (nextIndex >= state.workoutData.steps.length) {
     finishWorkout(state);
   } else {
@@ -1474,6 +2406,10 @@ const skipToNextExercise = (state) => {
       state.stepElapsedMs = 0;
       state.stepResumedAt = 0;
       state.stepAnnounced = false;
+      state.emomWorkDone = false;
+      state.amrapRounds = 0;
+      state.loadLogOpen = false;
+      state.stepResult = null;
       state.stepEntryTime = Date.now();
       state.stepDuration = getStepDuration(
         state.workoutData.steps[state.stepIndex],
@@ -1501,6 +2437,10 @@ const skipToPrevExercise = (state) => {
     state.stepElapsedMs = 0;
     state.stepResumedAt = 0;
     state.stepAnnounced = false;
+    state.emomWorkDone = false;
+    state.amrapRounds = 0;
+    state.loadLogOpen = false;
+    state.stepResult = null;
     state.stepEntryTime = Date.now();
     state.stepDuration = getStepDuration(
       state.workoutData.steps[state.stepIndex],
@@ -1622,6 +2562,318 @@ const initializeEditor = () => {
 
 initializeEditor();
 
+// --- WORKOUT HISTORY ---
+
+/** @type {Promise<IDBDatabase> | null} */
+let historyDbPromise = null;
+/** @type {WorkoutSession[]} */
+let historySessions = [];
+/**
+ * Most recent logged reps and weight per exercise, keyed by lowercase name
+ * @type {Map<string, { reps: number, load: Load }>}
+ */
+let lastLoads = new Map();
+/** First day of the month shown in the history calendar */
+let historyMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+
+/** @returns {Promise<IDBDatabase>} */
+const openHistoryDb = () => {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(HISTORY_STORE_SESSIONS, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("startedAt", "startedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again rather than caching the failure
+    historyDbPromise.catch(() => {
+      historyDbPromise = null;
+    });
+  }
+  return historyDbPromise;
+};
+
+/** @param {WorkoutSession} session */
+const saveSession = async (session) => {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE_SESSIONS, "readwrite");
+    transaction.objectStore(HISTORY_STORE_SESSIONS).add(session);
+    transaction.oncomplete = () => resolve(undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/** @returns {Promise<WorkoutSession[]>} Newest first */
+const loadSessions = async () => {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const request = db
+      .transaction(HISTORY_STORE_SESSIONS)
+      .objectStore(HISTORY_STORE_SESSIONS)
+      .index("startedAt")
+      .getAll();
+    request.onsuccess = () => resolve(request.result.reverse());
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Save the session that just finished. Failures are reported but never
+ * get in the way of the done screen.
+ * @param {State} state
+ */
+const recordSession = (state) => {
+  /** @type {WorkoutSession} */
+  const session = {
+    title: state.workoutData.title,
+    startedAt: state.workoutStartTime,
+    endedAt: Date.now(),
+    elapsedSeconds: getWorkoutElapsedS(state),
+    pausedSeconds: Math.round(state.totalPausedMs / 1000),
+    skippedSteps: state.skippedSteps,
+    completedExercises: state.completedExercises,
+  };
+  saveSession(session).catch((error) => {
+    console.error("Error saving workout history:", error);
+    showError(`Could not save workout history: ${error.message}`);
+  });
+};
+
+/**
+ * Find the last set logged with a load for each exercise, keyed by name,
+ * plus each numbered set from that same session keyed by "name#set".
+ * @param {WorkoutSession[]} sessions - Newest first
+ * @returns {Map<string, { reps: number, load: Load }>}
+ */
+const findLastLoads = (sessions) => {
+  const loads = new Map();
+  for (const session of sessions) {
+    const found = new Map();
+    for (const exercise of [...session.completedExercises].reverse()) {
+      const name = exercise.name.toLowerCase();
+      if (!exercise.load || loads.has(name)) continue;
+      const entry = { reps: exercise.volume.value, load: exercise.load };
+      if (!found.has(name)) found.set(name, entry);
+      const setKey = `${name}#${exercise.set}`;
+      if (exercise.set && !found.has(setKey)) found.set(setKey, entry);
+    }
+    found.forEach((entry, key) => loads.set(key, entry));
+  }
+  return loads;
+};
+
+/**
+ * Last time's figures for a step: the same set where there is one,
+ * otherwise the last set logged.
+ * @param {Exercise} step
+ */
+const getLastLoad = (step) => {
+  const name = step.name.toLowerCase();
+  return (
+    (step.set && lastLoads.get(`${name}#${step.set.current}`)) ||
+    lastLoads.get(name)
+  );
+};
+
+const refreshLastLoads = async () => {
+  lastLoads = findLastLoads(await loadSessions());
+};
+
+/**
+ * Local calendar day of a timestamp, as "YYYY-MM-DD".
+ * @param {number | Date} time
+ */
+const toDayKey = (time) => {
+  const date = new Date(time);
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${m}-${d}`;
+};
+
+/**
+ * @param {Date} date
+ * @param {number} days
+ */
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Count consecutive workout days. The current streak still counts if
+ * today has no workout yet but yesterday did.
+ * @param {WorkoutSession[]} sessions
+ * @returns {{ current: number, longest: number }}
+ */
+const computeStreaks = (sessions) => {
+  const days = new Set(sessions.map((s) => toDayKey(s.startedAt)));
+
+  let current = 0;
+  let day = new Date();
+  if (!days.has(toDayKey(day))) day = addDays(day, -1);
+  while (days.has(toDayKey(day))) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  let longest = 0;
+  for (const key of days) {
+    const [y, m, d] = key.split("-").map(Number);
+    const start = new Date(y, m - 1, d);
+    // Only count from the first day of each run
+    if (days.has(toDayKey(addDays(start, -1)))) continue;
+    let length = 1;
+    while (days.has(toDayKey(addDays(start, length)))) length++;
+    longest = Math.max(longest, length);
+  }
+
+  return { current, longest };
+};
+
+/** @param {Volume} volume */
+const formatVolume = (volume) =>
+  volume.unit === "reps"
+    ? `${volume.value} reps`
+    : formatElapsedTime(volume.value);
+
+/** @param {SessionExercise} exercise */
+const formatSessionExercise = (exercise) => {
+  const side = exercise.side ? ` (${exercise.side} side)` : "";
+  const load = exercise.load ? ` @ ${formatLoad(exercise.load)}` : "";
+  const rounds =
+    exercise.rounds !== undefined
+      ? `, ${exercise.rounds} ${exercise.rounds === 1 ? "round" : "rounds"}`
+      : "";
+  return `${exercise.name}${side} — ${formatVolume(exercise.volume)}${load}${rounds}`;
+};
+
+const renderHistoryStats = () => {
+  const { current, longest } = computeStreaks(historySessions);
+  const stats = [
+    { value: current, label: "day streak" },
+    { value: longest, label: "best streak" },
+    { value: historySessions.length, label: "workouts" },
+  ];
+  DOM.historyStats.innerHTML = stats
+    .map(
+      ({ value, label }) =>
+        `<div class="history-stat"><span class="history-stat-value">${value}</span>${label}</div>`,
+    )
+    .join("");
+};
+
+const renderHistoryCalendar = () => {
+  const year = historyMonth.getFullYear();
+  const month = historyMonth.getMonth();
+  DOM.historyMonth.innerText = historyMonth.toLocaleDateString(undefined, {
+    month: "long",
+    year: "numeric",
+  });
+
+  const days = new Set(historySessions.map((s) => toDayKey(s.startedAt)));
+  const today = toDayKey(new Date());
+  // Weeks start on Monday
+  const leadingBlanks = (historyMonth.getDay() + 6) % 7;
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  const cells = ["M", "T", "W", "T", "F", "S", "S"].map(
+    (d) => `<span class="history-weekday">${d}</span>`,
+  );
+  for (let i = 0; i < leadingBlanks; i++) cells.push("<span></span>");
+  for (let d = 1; d <= daysInMonth; d++) {
+    const key = toDayKey(new Date(year, month, d));
+    const classes = ["history-day"];
+    if (days.has(key)) classes.push("has-workout");
+    if (key === today) classes.push("today");
+    cells.push(`<span class="${classes.join(" ")}">${d}</span>`);
+  }
+  DOM.historyCalendar.innerHTML = cells.join("");
+
+  const now = new Date();
+  DOM.historyNextMonthBtn.disabled =
+    year === now.getFullYear() && month === now.getMonth();
+};
+
+/** Sessions of the month shown in the calendar, newest first */
+const renderHistoryList = () => {
+  const sessions = historySessions.filter((s) => {
+    const date = new Date(s.startedAt);
+    return (
+      date.getFullYear() === historyMonth.getFullYear() &&
+      date.getMonth() === historyMonth.getMonth()
+    );
+  });
+
+  if (sessions.length === 0) {
+    DOM.historyList.innerHTML = `<li class="history-empty">No workouts this month</li>`;
+    return;
+  }
+
+  DOM.historyList.innerHTML = sessions
+    .map((session) => {
+      const started = new Date(session.startedAt).toLocaleString(undefined, {
+        weekday: "short",
+        day: "numeric",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      const stats = [
+        `${formatElapsedTime(session.elapsedSeconds)} active`,
+        `${formatElapsedTime(session.pausedSeconds)} paused`,
+        `${session.completedExercises.length} done`,
+        `${session.skippedSteps} skipped`,
+      ];
+      const exercises = session.completedExercises
+        .map((e) => `<li>${escapeHtml(formatSessionExercise(e))}</li>`)
+        .join("");
+      return `<li class="history-item">
+        <div class="history-item-header">
+          <span class="history-item-title">${escapeHtml(session.title ?? "Workout")}</span>
+          <span class="history-item-date">${escapeHtml(started)}</span>
+        </div>
+        <div class="history-item-stats">${stats.join(" · ")}</div>
+        ${exercises ? `<details><summary>Exercises</summary><ol>${exercises}</ol></details>` : ""}
+      </li>`;
+    })
+    .join("");
+};
+
+const renderHistory = () => {
+  renderHistoryStats();
+  renderHistoryCalendar();
+  renderHistoryList();
+};
+
+/** @param {number} offset - Months to move the calendar by */
+const changeHistoryMonth = (offset) => {
+  historyMonth = new Date(
+    historyMonth.getFullYear(),
+    historyMonth.getMonth() + offset,
+    1,
+  );
+  renderHistoryCalendar();
+  renderHistoryList();
+};
+
+const showHistoryView = async () => {
+  DOM.editorView.style.display = "none";
+  DOM.historyView.style.display = "flex";
+  renderHistory();
+  historySessions = await loadSessions();
+  renderHistory();
+};
+
+const hideHistoryView = () => {
+  DOM.historyView.style.display = "none";
+  DOM.editorView.style.display = "flex";
+};
+
 // --- EVENT LISTENERS ---
 
 DOM.startBtn.addEventListener("click", async () => {
@@ -1672,7 +2924,7 @@ DOM.nextBtn.addEventListener("click", () => {
 DOM.displayContainer.addEventListener("click", () => {
   try {
     if (DOM.displayContainer.dataset.tappable === "true") {
-      advanceToNextStep(state);
+      handleStepTap(state);
     }
   } catch (e) {
     console.error("Error on tap:", e);
@@ -1684,13 +2936,19 @@ document.addEventListener("keydown", (e) => {
   try {
     if (state.status === STATUS.EDITING) {
       return;
+    } else if (state.loadLogOpen && e.code === "Enter") {
+      e.preventDefault();
+      confirmLoadLog(state);
+    } else if (e.target instanceof HTMLInputElement) {
+      // Let the reps and weight fields take their own keys
+      return;
     } else {
       if (
         e.code === "Enter" &&
         DOM.displayContainer.dataset.tappable === "true"
       ) {
         e.preventDefault();
-        advanceToNextStep(state);
+        handleStepTap(state);
       } else if (e.code === "Escape") {
         e.preventDefault();
         transitionToEditing(state);
@@ -1738,3 +2996,38 @@ DOM.editorNextBtn.addEventListener("click", () => {
     switchToWorkout(workoutStore.currentIndex + 1);
   }
 });
+
+DOM.historyBtn.addEventListener("click", async () => {
+  try {
+    await showHistoryView();
+  } catch (e) {
+    console.error("Error loading history:", e);
+    showError(`Could not load workout history: ${e.message}`);
+  }
+});
+
+DOM.historyBackBtn.addEventListener("click", () => {
+  hideHistoryView();
+});
+
+DOM.historyPrevMonthBtn.addEventListener("click", () => {
+  changeHistoryMonth(-1);
+});
+
+DOM.historyNextMonthBtn.addEventListener("click", () => {
+  changeHistoryMonth(1);
+});
+
+DOM.loadLog.addEventListener("click", (e) => {
+  // Keep taps on the log from reaching the display underneath
+  e.stopPropagation();
+});
+
+DOM.loadLogSaveBtn.addEventListener("click", () => {
+  try {
+    confirmLoadLog(state);
+  } catch (e) {
+    console.error("Error saving log:", e);
+    showError(e.message);
+  }
+});